@@ -0,0 +1,379 @@
+// FILE: codeAnalysis_js_v1.js v1
+// AST-based static checks run on guest code before it is stored.
+//
+// analyzeGeneratedCode(code_string, options) returns every violation as
+//   { rule, message, line, column }
+// Rules:
+//   syntax, missing_entry_point        - the code must parse and define `function_name`
+//   forbidden_global                   - require, process, eval, Function, globalThis, ...
+//   dynamic_import, with_statement
+//   constructor_access                 - .constructor / __proto__ style prototype-chain escapes, also
+//                                        through destructuring and Reflect.get-style reads
+//   computed_property_escape           - forbidden names assembled from strings (obj['con' + 'structor'])
+//   unbounded_loop                     - while (true) / for (;;) with no await and no way out
+//   missing_return, non_string_return  - every path of the entry function must return a string
+//   unknown_api, api_not_permitted, dynamic_api_access
+//                                      - external_apis.X must be a described (and permitted) API
+// options: { function_name, known_api_names, permitted_api_names } - an API list left null is not checked.
+
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+const FORBIDDEN_GLOBALS = new Set([
+    'require', 'process', 'module', 'exports', 'global', 'globalThis', 'Buffer', '__dirname', '__filename',
+    'eval', 'Function', 'WebAssembly', 'SharedArrayBuffer', 'Atomics'
+]);
+const FORBIDDEN_PROPERTIES = new Set([
+    'constructor', '__proto__', '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'
+]);
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const CONDITION_LOOP_TYPES = new Set(['WhileStatement', 'DoWhileStatement', 'ForStatement']);
+const BREAKABLE_TYPES = new Set([...CONDITION_LOOP_TYPES, 'ForInStatement', 'ForOfStatement', 'SwitchStatement']);
+// Calls that read a property named by their second argument.
+const PROPERTY_READ_CALLS = { Reflect: new Set(['get', 'getOwnPropertyDescriptor']), Object: new Set(['getOwnPropertyDescriptor']) };
+const BOOLEAN_OPERATORS = new Set(['==', '!=', '===', '!==', '<', '<=', '>', '>=', 'in', 'instanceof']);
+const NUMBER_OPERATORS = new Set(['-', '*', '/', '%', '**', '|', '&', '^', '<<', '>>', '>>>']);
+
+function violation(rule, message, node) {
+    return {
+        rule,
+        message,
+        line: node && node.loc ? node.loc.start.line : null,
+        column: node && node.loc ? node.loc.start.column + 1 : null
+    };
+}
+
+// The name of a member property, object (pattern) key or property-name argument, when it is static.
+function staticKeyName(key, computed) {
+    if (!computed && key.type === 'Identifier') return key.name;
+    if (key.type === 'Literal' && typeof key.value === 'string') return key.value;
+    if (computed && key.type === 'TemplateLiteral' && key.expressions.length === 0) return key.quasis[0].value.cooked;
+    return null;
+}
+
+function staticPropertyName(member) {
+    return staticKeyName(member.property, member.computed);
+}
+
+// Literal string pieces of a template or `+` chain used as a computed property name.
+function stringPieces(node) {
+    if (node.type === 'Literal' && typeof node.value === 'string') return [node.value];
+    if (node.type === 'TemplateLiteral') {
+        return [...node.quasis.map(q => q.value.cooked), ...node.expressions.flatMap(stringPieces)];
+    }
+    if (node.type === 'BinaryExpression' && node.operator === '+') return [...stringPieces(node.left), ...stringPieces(node.right)];
+    return [];
+}
+
+// obj['con' + 'structor'], obj[`__pro${'to'}__`]: a dynamic name built from fragments of a forbidden one.
+function assemblesForbiddenName(node) {
+    if (node.type !== 'TemplateLiteral' && node.type !== 'BinaryExpression') return false;
+    return stringPieces(node).some(piece => piece.length >= 2 && [...FORBIDDEN_PROPERTIES].some(name => name.includes(piece)));
+}
+
+function addPatternNames(pattern, names) {
+    if (!pattern) return;
+    if (pattern.type === 'Identifier') names.add(pattern.name);
+    else if (pattern.type === 'ObjectPattern') pattern.properties.forEach(p => addPatternNames(p.type === 'RestElement' ? p.argument : p.value, names));
+    else if (pattern.type === 'ArrayPattern') pattern.elements.forEach(p => addPatternNames(p, names));
+    else if (pattern.type === 'RestElement') addPatternNames(pattern.argument, names);
+    else if (pattern.type === 'AssignmentPattern') addPatternNames(pattern.left, names);
+}
+
+// let/const/class/function declared directly in a list of statements.
+function addLexicalNames(statements, names) {
+    for (const statement of statements) {
+        if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+            statement.declarations.forEach(d => addPatternNames(d.id, names));
+        } else if ((statement.type === 'FunctionDeclaration' || statement.type === 'ClassDeclaration') && statement.id) {
+            names.add(statement.id.name);
+        }
+    }
+}
+
+// The names a scope-creating node declares for the code inside it, or null if it creates no scope.
+// `var` belongs to the nearest function (or the program), everything else to its block.
+function scopeNames(node) {
+    const names = new Set();
+    const addVars = (root) => walkOwnBody(root, (n) => {
+        if (n.type === 'VariableDeclaration' && n.kind === 'var') n.declarations.forEach(d => addPatternNames(d.id, names));
+    });
+    if (node.type === 'Program') {
+        addVars(node);
+        addLexicalNames(node.body, names);
+    } else if (FUNCTION_TYPES.has(node.type)) {
+        if (node.type === 'FunctionExpression' && node.id) names.add(node.id.name);
+        node.params.forEach(p => addPatternNames(p, names));
+        if (node.body.type === 'BlockStatement') addVars(node.body);
+    } else if (node.type === 'BlockStatement' || node.type === 'StaticBlock') {
+        addLexicalNames(node.body, names);
+    } else if (node.type === 'SwitchStatement') {
+        node.cases.forEach(c => addLexicalNames(c.consequent, names));
+    } else if (node.type === 'ForStatement' || node.type === 'ForInStatement' || node.type === 'ForOfStatement') {
+        const declaration = node.type === 'ForStatement' ? node.init : node.left;
+        if (declaration && declaration.type === 'VariableDeclaration' && declaration.kind !== 'var') addLexicalNames([declaration], names);
+    } else if (node.type === 'CatchClause') {
+        addPatternNames(node.param, names);
+    } else if (node.type === 'ClassExpression' && node.id) {
+        names.add(node.id.name);
+    } else {
+        return null;
+    }
+    return names;
+}
+
+// Resolves `name` through the scopes enclosing the last of `ancestors` (as given by walk.fullAncestor).
+function createScopeResolver() {
+    const cache = new Map();
+    return (name, ancestors) => {
+        for (let i = ancestors.length - 1; i >= 0; i--) {
+            const node = ancestors[i];
+            if (!cache.has(node)) cache.set(node, scopeNames(node));
+            const names = cache.get(node);
+            if (names && names.has(name)) return true;
+        }
+        return false;
+    };
+}
+
+// Identifiers that are references, not property names, object keys or labels.
+function isReference(node, parent) {
+    if (!parent) return true;
+    if ((parent.type === 'MemberExpression') && parent.property === node && !parent.computed) return false;
+    if ((parent.type === 'Property' || parent.type === 'MethodDefinition' || parent.type === 'PropertyDefinition') && parent.key === node && !parent.computed) {
+        return parent.type === 'Property' && parent.shorthand;
+    }
+    if (parent.type === 'LabeledStatement' || parent.type === 'BreakStatement' || parent.type === 'ContinueStatement') return false;
+    return true;
+}
+
+function findEntryFunction(ast, function_name) {
+    for (const statement of ast.body) {
+        if (statement.type === 'FunctionDeclaration' && statement.id && statement.id.name === function_name) return statement;
+        if (statement.type === 'VariableDeclaration') {
+            for (const declarator of statement.declarations) {
+                if (declarator.id.type === 'Identifier' && declarator.id.name === function_name && declarator.init && FUNCTION_TYPES.has(declarator.init.type)) {
+                    return declarator.init;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+// Walks `node` without descending into nested functions.
+function walkOwnBody(node, visit) {
+    walk.recursive(node, null, {
+        Function(fn, state, c) {
+            if (fn === node) c(fn.body, state);
+        },
+        ...Object.fromEntries(Object.keys(walk.base).filter(type => type !== 'Function').map(type => [type, (n, state, c) => {
+            if (n.type === type) visit(n);
+            walk.base[type](n, state, c);
+        }]))
+    });
+}
+
+function containsOwn(node, predicate) {
+    let found = false;
+    walkOwnBody(node, (n) => {
+        if (!found && predicate(n)) found = true;
+    });
+    return found;
+}
+
+// True when `body` has a `break` that leaves the loop or switch it belongs to: an unlabeled break
+// outside nested loops and switches, or a break to a label declared outside `body`.
+function breaksOut(body) {
+    let found = false;
+    const innerLabels = [];
+    walk.recursive(body, { nested: 0 }, {
+        Function() {},
+        LabeledStatement(node, state, c) {
+            innerLabels.push(node.label.name);
+            c(node.body, state);
+            innerLabels.pop();
+        },
+        BreakStatement(node, state) {
+            if (node.label ? !innerLabels.includes(node.label.name) : state.nested === 0) found = true;
+        },
+        ...Object.fromEntries([...BREAKABLE_TYPES].map(type => [type, (node, state, c) => walk.base[type](node, { nested: state.nested + 1 }, c)]))
+    });
+    return found;
+}
+
+function isConstantTrue(test) {
+    if (!test) return true;
+    if (test.type === 'Literal') return Boolean(test.value);
+    if (test.type === 'UnaryExpression' && test.operator === '!' && test.argument.type === 'Literal') return !test.argument.value;
+    return false;
+}
+
+// True when control cannot fall off the end of `statement`.
+function alwaysExits(statement) {
+    if (!statement) return false;
+    switch (statement.type) {
+        case 'ReturnStatement':
+        case 'ThrowStatement':
+            return true;
+        case 'BlockStatement':
+            return statement.body.some(alwaysExits);
+        case 'IfStatement':
+            return alwaysExits(statement.consequent) && alwaysExits(statement.alternate);
+        case 'TryStatement':
+            if (statement.finalizer && alwaysExits(statement.finalizer)) return true;
+            return alwaysExits(statement.block) && (!statement.handler || alwaysExits(statement.handler.body));
+        case 'SwitchStatement': {
+            if (!statement.cases.some(c => c.test === null)) return false;
+            if (statement.cases.some(c => c.consequent.some(breaksOut))) return false;
+            const last = statement.cases[statement.cases.length - 1];
+            return last.consequent.some(alwaysExits);
+        }
+        case 'WhileStatement':
+        case 'ForStatement':
+        case 'DoWhileStatement':
+            return isConstantTrue(statement.test) && !breaksOut(statement.body);
+        case 'LabeledStatement':
+            return alwaysExits(statement.body);
+        default:
+            return false;
+    }
+}
+
+// Why `argument` may not be a string, or null when that cannot be told from the expression.
+// Looks into every branch of ?:, ||, && and ??, and at the last expression of a sequence.
+function nonStringReturnReason(argument) {
+    if (!argument) return 'returns undefined';
+    switch (argument.type) {
+        case 'Literal':
+            if (typeof argument.value === 'string') return null;
+            return `returns ${argument.value === null ? 'null' : typeof argument.value} literal ${argument.raw}`;
+        case 'ObjectExpression':
+            return 'returns an object literal (use JSON.stringify)';
+        case 'ArrayExpression':
+            return 'returns an array literal (use JSON.stringify)';
+        case 'Identifier':
+            return argument.name === 'undefined' ? 'returns undefined' : null;
+        case 'ConditionalExpression':
+            return nonStringReturnReason(argument.consequent) || nonStringReturnReason(argument.alternate);
+        case 'LogicalExpression':
+            return nonStringReturnReason(argument.left) || nonStringReturnReason(argument.right);
+        case 'SequenceExpression':
+            return nonStringReturnReason(argument.expressions[argument.expressions.length - 1]);
+        case 'UnaryExpression':
+            if (argument.operator === 'void') return 'returns undefined';
+            if (argument.operator === '!' || argument.operator === 'delete') return `returns a boolean (${argument.operator})`;
+            if (argument.operator !== 'typeof') return `returns a number (unary ${argument.operator})`;
+            return null;
+        case 'BinaryExpression':
+            if (BOOLEAN_OPERATORS.has(argument.operator)) return `returns a boolean (${argument.operator})`;
+            if (NUMBER_OPERATORS.has(argument.operator)) return `returns a number (${argument.operator})`;
+            return null;
+        case 'ArrowFunctionExpression':
+        case 'FunctionExpression':
+            return 'returns a function';
+        default:
+            return null;
+    }
+}
+
+function checkReturns(entry, violations) {
+    if (entry.type === 'ArrowFunctionExpression' && entry.expression) {
+        const reason = nonStringReturnReason(entry.body);
+        if (reason) violations.push(violation('non_string_return', `The function ${reason}; it must return a string.`, entry.body));
+        return;
+    }
+    walkOwnBody(entry, (node) => {
+        if (node.type !== 'ReturnStatement') return;
+        const reason = nonStringReturnReason(node.argument);
+        if (reason) violations.push(violation('non_string_return', `This return statement ${reason}; every path must return a string.`, node));
+    });
+    if (!alwaysExits(entry.body)) {
+        violations.push(violation('missing_return', 'Some code paths reach the end of the function without returning a string.', entry.body.loc ? { loc: { start: entry.body.loc.end } } : entry));
+    }
+}
+
+function analyzeGeneratedCode(code_string, options = {}) {
+    const { function_name, known_api_names = null, permitted_api_names = null } = options;
+    let ast;
+    try {
+        ast = acorn.parse(code_string, { ecmaVersion: 'latest', sourceType: 'script', locations: true, allowAwaitOutsideFunction: false });
+    } catch (e) {
+        return [violation('syntax', e.message, e.loc ? { loc: { start: { line: e.loc.line, column: e.loc.column } } } : null)];
+    }
+
+    const violations = [];
+    const isDeclared = createScopeResolver();
+    const checkKey = (key, computed) => {
+        const name = staticKeyName(key, computed);
+        if (name !== null && FORBIDDEN_PROPERTIES.has(name)) {
+            violations.push(violation('constructor_access', `Access to \`.${name}\` is not allowed (prototype-chain escape).`, key));
+        } else if (computed && assemblesForbiddenName(key)) {
+            violations.push(violation('computed_property_escape', 'Property names assembled from fragments of a forbidden name are not allowed.', key));
+        }
+        return name;
+    };
+
+    walk.fullAncestor(ast, (node, state, ancestors) => {
+        const parent = ancestors[ancestors.length - 2];
+        if (node.type === 'Identifier' && FORBIDDEN_GLOBALS.has(node.name) && isReference(node, parent) && !isDeclared(node.name, ancestors)) {
+            violations.push(violation('forbidden_global', `Use of the forbidden global \`${node.name}\`.`, node));
+        }
+        if (node.type === 'ImportExpression') {
+            violations.push(violation('dynamic_import', 'Dynamic import() is not allowed.', node));
+        }
+        if (node.type === 'WithStatement') {
+            violations.push(violation('with_statement', '`with` statements are not allowed.', node));
+        }
+        // const { constructor: C } = f
+        if (node.type === 'ObjectPattern') {
+            node.properties.forEach(p => p.type === 'Property' && checkKey(p.key, p.computed));
+        }
+        // Reflect.get(f, 'constructor'), Object.getOwnPropertyDescriptor(f, '__proto__')
+        if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && node.callee.object.type === 'Identifier'
+            && node.arguments.length >= 2 && node.arguments[1].type !== 'SpreadElement') {
+            const readers = PROPERTY_READ_CALLS[node.callee.object.name];
+            if (readers && readers.has(staticPropertyName(node.callee))) checkKey(node.arguments[1], true);
+        }
+        if (node.type === 'MemberExpression') {
+            const name = checkKey(node.property, node.computed);
+            if (node.object.type === 'Identifier' && node.object.name === 'external_apis' && !isDeclared('external_apis', ancestors)) {
+                if (name === null) {
+                    if (known_api_names || permitted_api_names) {
+                        violations.push(violation('dynamic_api_access', 'external_apis must be accessed with a literal API name.', node));
+                    }
+                } else if (known_api_names && !known_api_names.includes(name)) {
+                    violations.push(violation('unknown_api', `external_apis.${name} is not a described host API. Available: ${known_api_names.join(', ') || 'none'}.`, node));
+                } else if (permitted_api_names && !permitted_api_names.includes(name)) {
+                    violations.push(violation('api_not_permitted', `external_apis.${name} is not in this function's permissions. Permitted: ${permitted_api_names.join(', ') || 'none'}.`, node));
+                }
+            }
+        }
+        if (CONDITION_LOOP_TYPES.has(node.type) && isConstantTrue(node.test)) {
+            const hasAwait = containsOwn(node.body, n => n.type === 'AwaitExpression' || (n.type === 'ForOfStatement' && n.await));
+            const hasExit = breaksOut(node.body) || containsOwn(node.body, n => n.type === 'ReturnStatement' || n.type === 'ThrowStatement');
+            if (!hasAwait && !hasExit) {
+                violations.push(violation('unbounded_loop', 'Infinite loop with no await, break, return or throw.', node));
+            }
+        }
+    });
+
+    if (function_name) {
+        const entry = findEntryFunction(ast, function_name);
+        if (!entry) {
+            violations.push(violation('missing_entry_point', `The code does not define a top-level function named ${function_name}.`, null));
+        } else {
+            checkReturns(entry, violations);
+        }
+    }
+    return violations;
+}
+
+function formatStaticViolations(violations) {
+    return violations.map(v => `- [${v.rule}]${v.line !== null ? ` line ${v.line}:${v.column}` : ''}: ${v.message}`).join('\n');
+}
+
+module.exports = {
+    analyzeGeneratedCode,
+    formatStaticViolations
+};
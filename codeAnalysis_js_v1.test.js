@@ -0,0 +1,51 @@
+// FILE: codeAnalysis_js_v1.test.js v1
+// Run with `node --test` (needs acorn and acorn-walk).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeGeneratedCode } = require('./codeAnalysis_js_v1');
+
+function rules(code_string) {
+    return analyzeGeneratedCode(code_string, { function_name: 'f' }).map(v => v.rule);
+}
+
+test('unbounded_loop: a break that only leaves a nested loop or switch is not an exit', () => {
+    assert.deepEqual(rules('async function f(p) { while (true) { for (;;) { break; } } }'), ['unbounded_loop']);
+    assert.deepEqual(rules('async function f(p) { for (;;) { for (const x of p.items) { if (x) break; } } }'), ['unbounded_loop']);
+    assert.deepEqual(rules('async function f(p) { while (true) { switch (p.mode) { case 1: break; } } }'), ['unbounded_loop']);
+    assert.deepEqual(rules('async function f(p) { while (true) { inner: { break inner; } } }'), ['unbounded_loop']);
+});
+
+test('unbounded_loop: breaks that leave the loop are exits', () => {
+    assert.deepEqual(rules('async function f(p) { while (true) { if (p.done) break; } return "ok"; }'), []);
+    assert.deepEqual(rules('async function f(p) { outer: while (true) { for (;;) { break outer; } } return "ok"; }'), []);
+    assert.deepEqual(rules('async function f(p) { while (true) { for (;;) { return "ok"; } } }'), []);
+    assert.deepEqual(rules('async function f(p) { while (true) { await p.tick(); } }'), []);
+});
+
+test('constructor_access: destructuring and Reflect.get-style reads of forbidden properties', () => {
+    assert.deepEqual(rules('async function f(p) { const { constructor: C } = f; return "x"; }'), ['constructor_access']);
+    assert.deepEqual(rules('async function f(p) { const { constructor } = f; return "x"; }'), ['constructor_access']);
+    assert.deepEqual(rules('async function f(p) { const { ["con" + "structor"]: C } = f; return "x"; }'), ['computed_property_escape']);
+    assert.deepEqual(rules('async function f(p) { return String(Reflect.get(f, "constructor")); }'), ['constructor_access']);
+    assert.deepEqual(rules('async function f(p) { return String(Object.getOwnPropertyDescriptor(f, `__proto__`)); }'), ['constructor_access']);
+    assert.deepEqual(rules('async function f(p) { const { name } = p; return String(Reflect.get(p, "name") || name); }'), []);
+});
+
+test('forbidden_global: a declaration only shadows a global inside its own scope', () => {
+    assert.deepEqual(rules('async function f(p) { function g() { var globalThis = 1; } return String(globalThis); }'), ['forbidden_global']);
+    assert.deepEqual(rules('async function f(p) { { let process = 1; } return String(process); }'), ['forbidden_global']);
+    assert.deepEqual(rules('async function f(p) { for (const process of [1]) {} return String(process); }'), ['forbidden_global']);
+    assert.deepEqual(rules('async function f(p) { if (p.a) { var process = 1; } return String(process); }'), []);
+    assert.deepEqual(rules('async function f(process) { return String(process); }'), []);
+    assert.deepEqual(rules('async function f(p) { try { return "x"; } catch (require) { return String(require); } }'), []);
+});
+
+test('non_string_return: every branch of a conditional or logical return must be a string', () => {
+    assert.deepEqual(rules('async function f(p) { return p.a ? "a" : 1; }'), ['non_string_return']);
+    assert.deepEqual(rules('async function f(p) { return p.a || null; }'), ['non_string_return']);
+    assert.deepEqual(rules('async function f(p) { return p.a > 1; }'), ['non_string_return']);
+    assert.deepEqual(rules('const f = async (p) => p.x ? "y" : undefined;'), ['non_string_return']);
+    assert.deepEqual(rules('async function f(p) { return p.a ? "a" : p.b ? `b` : "c" + p.n; }'), []);
+    assert.deepEqual(rules('async function f(p) { return p.label ?? typeof p.value; }'), []);
+});
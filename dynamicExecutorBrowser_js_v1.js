@@ -0,0 +1,511 @@
+// FILE: dynamicExecutorBrowser_js_v1.js v1
+// Browser build of DynamicExecutorJS: runs stored functions in a web page, with the page's own
+// host APIs as `external_apis`. Load it with a classic <script> tag after schemaValidator_js_v1.js,
+// permissions_js_v1.js and executorShared_js_v1.js; it attaches window.DynamicExecutorBrowserJS and
+// window.WebStorageFunctionStoreJS. Under Node it exports them.
+//
+// It runs functions, it does not create them. Generate functions with the Node executor
+// (`dynexec create ... --host-apis <module>` checks them against that module's mocks), then hand
+// the JSON printed by `dynexec get <name>` to store_predefined_function_js().
+//
+// Compared with dynamicExecutor_js_v1.js:
+//   - guest code runs in Web Workers. A worker only ever runs one stored function, one call at a
+//     time: concurrent calls (e.g. one per bot and tick) get workers of their own, and idle workers
+//     are reused. A call that passes its timeout_ms ends its own worker and no other call.
+//   - permissions, params and returns schemas are enforced by the same modules as in Node.
+//   - no static analysis, version history or tracing.
+//   - no `functions` namespace: records whose code calls other stored functions are refused, as are
+//     records that use dynamic import().
+// Results follow the same conventions: a string, "Error: ..." or a JSON `{ error }` string.
+
+(function (root) {
+    'use strict';
+
+    const DEFAULT_BROWSER_SANDBOX_LIMITS = { timeout_ms: 1000 };
+    const DEFAULT_MAX_IDLE_WORKERS = 4;
+    const FUNCTION_NAME_PATTERN = /^[a-zA-Z_$][0-9a-zA-Z_$]*$/;
+    // A textual match, like DEPENDENCY_PATTERN in functionGraph_js_v1.js, but also catching
+    // computed (`functions[name]`) and optional (`functions?.name`) access.
+    const FUNCTIONS_NAMESPACE_PATTERN = /\bfunctions\s*(?:\??\.[A-Za-z_$]|\?\.\[|\[)/;
+    // `import` followed by `(` or a comment: dynamic import() is not a global the worker can remove.
+    const DYNAMIC_IMPORT_PATTERN = /\bimport\s*(?:\(|\/[*/])/;
+
+    const inNode = typeof module === 'object' && module.exports;
+    const schemaValidatorJS = inNode ? require('./schemaValidator_js_v1') : root.SchemaValidatorJS;
+    const permissionsJS = inNode ? require('./permissions_js_v1') : root.PermissionsJS;
+    const executorSharedJS = inNode ? require('./executorShared_js_v1') : root.ExecutorSharedJS;
+    if (!schemaValidatorJS || !permissionsJS || !executorSharedJS) {
+        throw new Error('dynamicExecutorBrowser_js_v1.js needs schemaValidator_js_v1.js, permissions_js_v1.js and executorShared_js_v1.js to be loaded first.');
+    }
+    const { validateAgainstSchema } = schemaValidatorJS;
+    const { normalizePermissions, ApiRateLimiterJS, PermissionAuditLogJS, createPermissionedApis } = permissionsJS;
+    const { invokeHostApi, summarizeFunctionRecord, checkReturnsSchema } = executorSharedJS;
+
+    // Runs inside a worker. The runtime lives in a closure, so guest code compiled by it cannot reach
+    // its message port, compiled functions or pending API calls. Before any guest code is compiled
+    // it removes the worker globals that reach the network, start workers, talk to the page or
+    // hand out the global object (self, globalThis, event handlers, Function/eval, string timers).
+    // Dynamic import() is syntax, not a global: unsupportedCodeError refuses code that uses it.
+    const WORKER_SOURCE = `(function (scope) {
+        'use strict';
+        const post = scope.postMessage.bind(scope);
+        const listen = scope.addEventListener.bind(scope);
+        const FunctionConstructor = Function;
+        const hostTimers = {
+            setTimeout: scope.setTimeout.bind(scope),
+            setInterval: scope.setInterval.bind(scope),
+            clearTimeout: scope.clearTimeout.bind(scope),
+            clearInterval: scope.clearInterval.bind(scope)
+        };
+        const compiled = new Map();
+        const pendingApiCalls = new Map();
+        let nextRequestId = 1;
+
+        // crypto.randomUUID only exists in secure contexts (not on file:// pages).
+        const getRandomValues = crypto.getRandomValues.bind(crypto);
+        const randomUUID = typeof crypto.randomUUID === 'function' ? crypto.randomUUID.bind(crypto) : null;
+        function newUuid() {
+            if (randomUUID) return randomUUID();
+            const bytes = getRandomValues(new Uint8Array(16));
+            bytes[6] = (bytes[6] & 0x0f) | 0x40;
+            bytes[8] = (bytes[8] & 0x3f) | 0x80;
+            const hex = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+            return hex.slice(0, 8) + '-' + hex.slice(8, 12) + '-' + hex.slice(12, 16) + '-' + hex.slice(16, 20) + '-' + hex.slice(20);
+        }
+
+        // Timer callbacks run without the global object as \`this\`; string callbacks are refused.
+        const guestTimer = (start) => (callback, delay, ...args) => {
+            if (typeof callback !== 'function') throw new TypeError('Timer callbacks must be functions.');
+            return start(() => callback(...args), delay);
+        };
+
+        function compile(function_name, code_string) {
+            const key = function_name + '\\n' + code_string;
+            if (!compiled.has(key)) {
+                const factory = new FunctionConstructor('external_apis', 'console', 'uuidv4',
+                    '"use strict";\\n' + code_string + '\\nif (typeof ' + function_name + " !== 'function') throw new Error('Generated code did not define a callable function named " + function_name + ".');\\nreturn " + function_name + ';');
+                compiled.set(key, factory);
+            }
+            return compiled.get(key);
+        }
+
+        function guestApis(call_id, api_names) {
+            const apis = {};
+            for (const api_name of api_names) {
+                apis[api_name] = (args) => new Promise((resolve, reject) => {
+                    let args_json;
+                    try {
+                        args_json = JSON.stringify(args === undefined ? null : args);
+                    } catch (e) {
+                        throw new Error('Arguments for external_apis.' + api_name + ' must be JSON-serializable: ' + e.message);
+                    }
+                    const request_id = nextRequestId++;
+                    pendingApiCalls.set(request_id, { resolve, reject });
+                    post({ type: 'api', call_id, request_id, api_name, args_json });
+                });
+            }
+            return Object.freeze(apis);
+        }
+
+        async function run(message) {
+            const { call_id, function_name, code_string, params_json, api_names } = message;
+            const log = (level) => (...args) => post({ type: 'console', call_id, level, message: args.map(String).join(' ') });
+            const guestConsole = Object.freeze({ log: log('log'), info: log('log'), warn: log('warn'), error: log('error') });
+            try {
+                const guestFunction = compile(function_name, code_string)(guestApis(call_id, api_names), guestConsole, newUuid);
+                const result = await guestFunction(JSON.parse(params_json));
+                let serialized;
+                if (typeof result !== 'string') {
+                    try { serialized = JSON.stringify(result); } catch (e) { serialized = undefined; }
+                }
+                post({ type: 'done', call_id, result_type: typeof result, result: typeof result === 'string' ? result : serialized, unserializable: typeof result !== 'string' && serialized === undefined });
+            } catch (e) {
+                post({ type: 'failed', call_id, error_message: e && e.message ? e.message : String(e), stack: e && e.stack ? e.stack : null });
+            }
+        }
+
+        listen('message', (event) => {
+            const message = event.data;
+            if (message.type === 'run') {
+                run(message);
+            } else if (message.type === 'api_result') {
+                const pending = pendingApiCalls.get(message.request_id);
+                if (!pending) return;
+                pendingApiCalls.delete(message.request_id);
+                const envelope = JSON.parse(message.envelope_json);
+                if (envelope.ok) pending.resolve(envelope.value);
+                else pending.reject(new Error(envelope.error));
+            }
+        });
+
+        const remove = (target, name, value) => {
+            try { Object.defineProperty(target, name, { value, writable: false, configurable: false }); } catch (e) {}
+        };
+        for (const name of [
+            'fetch', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'WebTransport', 'EventSource', 'RTCPeerConnection',
+            'RTCDataChannel', 'webkitRTCPeerConnection', 'Worker', 'SharedWorker', 'importScripts', 'indexedDB', 'caches',
+            'BroadcastChannel', 'MessageChannel', 'navigator', 'requestAnimationFrame',
+            'postMessage', 'close', 'addEventListener', 'removeEventListener', 'dispatchEvent',
+            'onmessage', 'onmessageerror', 'onerror', 'onunhandledrejection', 'onrejectionhandled',
+            'onlanguagechange', 'ononline', 'onoffline', 'eval', 'Function', 'self', 'globalThis'
+        ]) {
+            remove(scope, name, undefined);
+        }
+        for (const name of ['setTimeout', 'setInterval']) remove(scope, name, guestTimer(hostTimers[name]));
+        for (const name of ['clearTimeout', 'clearInterval']) remove(scope, name, hostTimers[name]);
+        // fn.constructor would hand out a Function constructor that compiles in the global scope.
+        for (const prototype of [
+            FunctionConstructor.prototype,
+            Object.getPrototypeOf(async function () {}),
+            Object.getPrototypeOf(function* () {}),
+            Object.getPrototypeOf(async function* () {})
+        ]) {
+            remove(prototype, 'constructor', undefined);
+        }
+    })(self);`;
+
+    function cloneRecord(record) {
+        return record ? JSON.parse(JSON.stringify(record)) : null;
+    }
+
+    // The store interface of functionStores_js_v1.js (get/put/list/delete). With a Web Storage
+    // object (e.g. window.localStorage) records survive page reloads under `${key_prefix}<name>`.
+    class WebStorageFunctionStoreJS {
+        constructor(options = {}) {
+            this.storage = options.storage || null;
+            this.key_prefix = options.key_prefix || 'dynexec:function:';
+            this.records = new Map();
+            if (this.storage) {
+                for (let i = 0; i < this.storage.length; i++) {
+                    const key = this.storage.key(i);
+                    if (!key || !key.startsWith(this.key_prefix)) continue;
+                    try {
+                        this.records.set(key.slice(this.key_prefix.length), JSON.parse(this.storage.getItem(key)));
+                    } catch (e) {
+                        console.warn(`Skipping unreadable stored function ${key}: ${e.message}`);
+                    }
+                }
+            }
+        }
+
+        describe() {
+            return this.storage ? `web storage (${this.key_prefix}*)` : 'in-memory';
+        }
+
+        async get(name) {
+            return cloneRecord(this.records.get(name));
+        }
+
+        async put(name, record) {
+            this.records.set(name, cloneRecord(record));
+            if (this.storage) this.storage.setItem(this.key_prefix + name, JSON.stringify(record));
+        }
+
+        async list() {
+            return [...this.records.keys()].sort().map(name => cloneRecord(this.records.get(name)));
+        }
+
+        async delete(name) {
+            if (this.storage) this.storage.removeItem(this.key_prefix + name);
+            return this.records.delete(name);
+        }
+    }
+
+    // Checked when a record is stored and again before it runs (for records put in the store directly).
+    function unsupportedCodeError(record) {
+        if (DYNAMIC_IMPORT_PATTERN.test(record.code_string)) {
+            return `Error: JS function '${record.name}' uses dynamic import(), which the browser executor does not allow.`;
+        }
+        if ((Array.isArray(record.dependencies) && record.dependencies.length > 0) || FUNCTIONS_NAMESPACE_PATTERN.test(record.code_string)) {
+            return `Error: JS function '${record.name}' calls other stored functions through \`functions.*\`, which the browser executor does not support.`;
+        }
+        return null;
+    }
+
+    class DynamicExecutorBrowserJS {
+        // options.function_store: defaults to an in-memory WebStorageFunctionStoreJS.
+        // options.sandbox_limits: { timeout_ms } default for every call.
+        // options.require_permissions: deny all external_apis to functions stored without permissions.
+        // options.max_idle_workers: idle workers kept per function for reuse (default 4).
+        constructor(options = {}) {
+            this.function_store = options.function_store || new WebStorageFunctionStoreJS();
+            this.sandbox_limits = { ...DEFAULT_BROWSER_SANDBOX_LIMITS, ...(options.sandbox_limits || {}) };
+            this.require_permissions = options.require_permissions === true;
+            this.api_rate_limiter = new ApiRateLimiterJS();
+            this.permission_audit = new PermissionAuditLogJS();
+            this.log_listeners = new Set();
+            this.host_api_description_getter = null;
+            this.host_api_execution_dict_getter = null;
+            this.is_debug = false;
+            this.max_idle_workers = options.max_idle_workers !== undefined ? options.max_idle_workers : DEFAULT_MAX_IDLE_WORKERS;
+            // function name -> { function_name, signature, workers: [{ pool, worker, worker_url, calls: Map(call_id -> call) }] }
+            this.sandboxes = new Map();
+            this.next_call_id = 1;
+        }
+
+        debug_log(...args) {
+            if (this.is_debug) console.log('[DEBUG DynamicExecutorBrowserJS]', ...args);
+            if (this.log_listeners.size > 0) {
+                this._emit_log({ level: 'debug', message: args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' ') });
+            }
+        }
+
+        // Same entries as DynamicExecutorJS.on_log. Returns an unsubscribe function.
+        on_log(listener) {
+            this.log_listeners.add(listener);
+            return () => this.log_listeners.delete(listener);
+        }
+
+        _emit_log(entry) {
+            const logEntry = { time: new Date().toISOString(), ...entry };
+            for (const listener of this.log_listeners) {
+                try {
+                    listener(logEntry);
+                } catch (e) {
+                    console.error(`Log listener failed: ${e.message}`);
+                }
+            }
+        }
+
+        async initialize_store_js(apiDescriptionGetter, apiExecutionDictGetter) {
+            this.host_api_description_getter = apiDescriptionGetter;
+            this.host_api_execution_dict_getter = apiExecutionDictGetter;
+            this.debug_log(`DynamicExecutorBrowserJS store initialized (${this.function_store.describe()}).`);
+        }
+
+        async list_functions_js() {
+            return (await this.function_store.list()).map(summarizeFunctionRecord);
+        }
+
+        async clear_function_store_js() {
+            for (const record of await this.function_store.list()) {
+                await this.function_store.delete(record.name);
+            }
+            this.debug_log('Stored functions cleared.');
+        }
+
+        // Accepts the funcData of DynamicExecutorJS.store_predefined_function_js, and also the
+        // object printed by `dynexec get` (parsed parameters_schema/returns_schema/permissions
+        // instead of *_json).
+        async store_predefined_function_js(funcData) {
+            const name = funcData && funcData.name;
+            const asJson = (json, parsed) => json || (parsed ? JSON.stringify(parsed) : null);
+            const parameters_schema_json = funcData && asJson(funcData.parameters_schema_json, funcData.parameters_schema);
+            if (!name || !funcData.description || !parameters_schema_json || !funcData.code_string) {
+                return `Error: Missing required fields in funcData for ${name || 'unnamed function'}. Required: name, description, parameters_schema_json, code_string.`;
+            }
+            if (!FUNCTION_NAME_PATTERN.test(name)) return `Error: Invalid JS function name '${name}'.`;
+            const returns_schema_json = asJson(funcData.returns_schema_json, funcData.returns_schema);
+            let permissions_json = asJson(funcData.permissions_json, funcData.permissions);
+            try {
+                JSON.parse(parameters_schema_json);
+                if (returns_schema_json) JSON.parse(returns_schema_json);
+                if (permissions_json) permissions_json = JSON.stringify(normalizePermissions(JSON.parse(permissions_json)));
+            } catch (e) {
+                return `Error: Invalid schema or permissions JSON in predefined function ${name}: ${e.message}`;
+            }
+            try {
+                new Function(`${funcData.code_string}\nreturn typeof ${name};`);
+            } catch (syntaxError) {
+                return `Error: Syntax error in predefined function ${name}: ${syntaxError.message}`;
+            }
+            const unsupported_error = unsupportedCodeError(funcData);
+            if (unsupported_error) return unsupported_error;
+            await this.function_store.put(name, {
+                name,
+                description: funcData.description,
+                parameters_schema_json,
+                returns_schema_json,
+                permissions_json,
+                code_string: funcData.code_string,
+                version: funcData.version || 1
+            });
+            this.debug_log(`Stored predefined JS function ${name} in ${this.function_store.describe()}`);
+            return `Successfully stored predefined JS function: ${name}`;
+        }
+
+        async get_function_definition_js(function_name) {
+            const record = await this.function_store.get(function_name);
+            if (!record) return null;
+            return {
+                ...record,
+                parameters_schema: JSON.parse(record.parameters_schema_json),
+                returns_schema: record.returns_schema_json ? JSON.parse(record.returns_schema_json) : null,
+                permissions: record.permissions_json ? JSON.parse(record.permissions_json) : null
+            };
+        }
+
+        // execution_options.limits: { timeout_ms } for this call.
+        async execute_dynamic_function(function_name, params_for_function, external_apis_dict_override = null, execution_options = {}) {
+            const func_def = await this.get_function_definition_js(function_name);
+            if (!func_def || !func_def.code_string) return `Error: JS Function '${function_name}' not found or has no code.`;
+            const unsupported_error = unsupportedCodeError(func_def);
+            if (unsupported_error) return unsupported_error;
+            if (params_for_function === undefined || params_for_function === null) params_for_function = {};
+            const params_errors = validateAgainstSchema(params_for_function, func_def.parameters_schema);
+            if (params_errors.length > 0) {
+                this.debug_log(`Parameter validation failed for ${function_name}:`, params_errors);
+                return JSON.stringify({ error: `Parameter validation failed for JS function '${function_name}'.`, validation_errors: params_errors });
+            }
+            let permissions = func_def.permissions;
+            if (permissions === null && this.require_permissions) permissions = { allowed_apis: {} };
+            const external_apis = createPermissionedApis({
+                function_name,
+                permissions,
+                external_apis: external_apis_dict_override !== null
+                    ? external_apis_dict_override
+                    : (this.host_api_execution_dict_getter ? this.host_api_execution_dict_getter() : {}),
+                rate_limiter: this.api_rate_limiter,
+                on_audit: (entry) => this.permission_audit.record(entry)
+            });
+            const limits = { ...this.sandbox_limits, ...(execution_options.limits || {}) };
+
+            const outcome = await this._run_in_worker({
+                function_name,
+                code_string: func_def.code_string,
+                signature: `${JSON.stringify(permissions)}\n${func_def.code_string}`,
+                params: params_for_function,
+                external_apis,
+                timeout_ms: limits.timeout_ms
+            });
+            if (!outcome.ok) {
+                if (outcome.limit_exceeded) {
+                    return JSON.stringify({ error: `JS function '${function_name}' was stopped: ${outcome.error_message}`, limit_exceeded: outcome.limit_exceeded, limit: outcome.limit });
+                }
+                return `Error: Failed to execute dynamic JS function ${function_name}. Details: ${outcome.error_message}`;
+            }
+            if (outcome.unserializable) {
+                return `Error: Dynamic function ${function_name} returned a complex object that could not be serialized. Original type: ${outcome.result_type}`;
+            }
+            if (!func_def.returns_schema) return outcome.result;
+            const checked = checkReturnsSchema(function_name, outcome.result, func_def.returns_schema);
+            if (checked !== outcome.result) this.debug_log(`Return value validation failed for ${function_name}:`, JSON.parse(checked).validation_errors);
+            return checked;
+        }
+
+        // filters: { function_name, denied_only, limit }. Newest entries come last.
+        get_permission_audit_log_js(filters = {}) {
+            return this.permission_audit.list(filters);
+        }
+
+        // Hands out an idle worker of `function_name`'s pool, or a new one. A worker never runs another
+        // function, and runs one call at a time. `signature` changes with the code or permissions; a
+        // changed function gets a fresh pool.
+        _acquire_sandbox(function_name, signature) {
+            let pool = this.sandboxes.get(function_name);
+            if (pool && pool.signature !== signature) {
+                this._stop_pool(pool, { ok: false, error_message: `JS function '${function_name}' was replaced while it was running.` });
+                pool = null;
+            }
+            if (!pool) {
+                pool = { function_name, signature, workers: [] };
+                this.sandboxes.set(function_name, pool);
+            }
+            const idle = pool.workers.find(sandbox => sandbox.calls.size === 0);
+            if (idle) return idle;
+            const worker_url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+            const sandbox = { pool, worker: new Worker(worker_url), worker_url, calls: new Map() };
+            sandbox.worker.onmessage = (event) => this._on_worker_message(sandbox, event.data);
+            sandbox.worker.onerror = (event) => {
+                event.preventDefault();
+                this._stop_sandbox(sandbox, { ok: false, error_message: `Sandbox worker failed: ${event.message}` });
+            };
+            pool.workers.push(sandbox);
+            return sandbox;
+        }
+
+        // Keeps a worker whose call finished for reuse, unless its pool already has enough idle ones.
+        _release_sandbox(sandbox) {
+            const idle = sandbox.pool.workers.filter(other => other.calls.size === 0);
+            if (idle.length > this.max_idle_workers) {
+                this._stop_sandbox(sandbox, { ok: false, error_message: 'The sandbox worker was released.' });
+            }
+        }
+
+        // Ends a worker and settles the call that was running in it with `outcome`.
+        _stop_sandbox(sandbox, outcome) {
+            sandbox.worker.terminate();
+            URL.revokeObjectURL(sandbox.worker_url);
+            const { pool } = sandbox;
+            pool.workers = pool.workers.filter(other => other !== sandbox);
+            if (pool.workers.length === 0 && this.sandboxes.get(pool.function_name) === pool) this.sandboxes.delete(pool.function_name);
+            const calls = [...sandbox.calls.values()];
+            sandbox.calls.clear();
+            calls.forEach(call => {
+                clearTimeout(call.deadline);
+                call.resolve(outcome);
+            });
+        }
+
+        _stop_pool(pool, outcome) {
+            [...pool.workers].forEach(sandbox => this._stop_sandbox(sandbox, outcome));
+        }
+
+        // Messages are only trusted as far as the calls in flight in the sending worker: an unknown
+        // call_id is dropped and an API outside that call's external_apis is refused.
+        _on_worker_message(sandbox, message) {
+            const call = message && sandbox.calls.get(message.call_id);
+            if (!call) {
+                this.debug_log(`Ignoring a sandbox message for unknown call ${message && message.call_id}.`);
+                return;
+            }
+            if (message.type === 'api') {
+                const reply = (envelope_json) => {
+                    if (sandbox.calls.get(message.call_id) === call) {
+                        sandbox.worker.postMessage({ type: 'api_result', request_id: message.request_id, envelope_json });
+                    }
+                };
+                if (typeof message.api_name !== 'string' || !call.api_names.includes(message.api_name) || typeof message.args_json !== 'string') {
+                    reply(JSON.stringify({ ok: false, error: `external_apis.${message.api_name} is not available to '${call.function_name}'.` }));
+                    return;
+                }
+                invokeHostApi(call.external_apis, message.api_name, message.args_json).then(reply);
+            } else if (message.type === 'console') {
+                this._emit_log({ level: message.level, message: String(message.message), function_name: call.function_name });
+                if (message.level === 'error') console.error(`[GuestCode ERROR: ${call.function_name}] ${message.message}`);
+                else if (message.level === 'warn') console.warn(`[GuestCode WARN: ${call.function_name}] ${message.message}`);
+                else if (this.is_debug) console.log('[DEBUG DynamicExecutorBrowserJS]', `[GuestCode Log: ${call.function_name}] ${message.message}`);
+            } else if (message.type === 'done' || message.type === 'failed') {
+                sandbox.calls.delete(message.call_id);
+                clearTimeout(call.deadline);
+                call.resolve(message.type === 'done'
+                    ? { ok: true, result: message.result, result_type: message.result_type, unserializable: message.unserializable }
+                    : { ok: false, error_message: message.error_message, stack: message.stack });
+                this._release_sandbox(sandbox);
+            }
+        }
+
+        // Resolves to the outcome shape of sandbox_js_v1.js.
+        _run_in_worker({ function_name, code_string, signature, params, external_apis, timeout_ms }) {
+            return new Promise(resolve => {
+                const sandbox = this._acquire_sandbox(function_name, signature);
+                const call_id = this.next_call_id++;
+                const call = { function_name, external_apis, api_names: Object.keys(external_apis), resolve, deadline: null };
+                sandbox.calls.set(call_id, call);
+                call.deadline = setTimeout(() => {
+                    console.error(`Dynamic JS function '${function_name}' exceeded ${timeout_ms} ms; ending its sandbox worker.`);
+                    this._stop_sandbox(sandbox, { ok: false, error_message: `Execution exceeded the wall-clock limit of ${timeout_ms} ms.`, limit_exceeded: 'timeout', limit: timeout_ms });
+                }, timeout_ms);
+                sandbox.worker.postMessage({
+                    type: 'run', call_id, function_name, code_string,
+                    params_json: JSON.stringify(params),
+                    api_names: call.api_names
+                });
+            });
+        }
+
+        // Ends every sandbox worker; calls still running resolve with an error.
+        dispose() {
+            for (const pool of [...this.sandboxes.values()]) {
+                this._stop_pool(pool, { ok: false, error_message: 'The executor was disposed.' });
+            }
+        }
+    }
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = { DynamicExecutorBrowserJS, WebStorageFunctionStoreJS };
+    } else {
+        root.DynamicExecutorBrowserJS = DynamicExecutorBrowserJS;
+        root.WebStorageFunctionStoreJS = WebStorageFunctionStoreJS;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,153 @@
+// FILE: dynamicExecutorBrowser_js_v1.test.js v1
+// Run with `node --test`. Web Workers are played by worker_threads: WebWorkerForTests evaluates the
+// blob source with a `self` that has postMessage and addEventListener, as in a browser worker.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Worker: NodeWorker } = require('worker_threads');
+const { resolveObjectURL } = require('buffer');
+
+class WebWorkerForTests {
+    constructor(url) {
+        this.onmessage = null;
+        this.onerror = null;
+        this.queue = [];
+        this.terminated = false;
+        resolveObjectURL(url).text().then(source => {
+            if (this.terminated) return;
+            const bootstrap = `const { parentPort } = require('worker_threads');
+globalThis.self = globalThis;
+self.postMessage = (message) => parentPort.postMessage(message);
+self.addEventListener = (type, listener) => parentPort.on('message', data => listener({ data }));
+${source}`;
+            this.thread = new NodeWorker(bootstrap, { eval: true });
+            this.thread.on('message', data => this.onmessage && this.onmessage({ data }));
+            this.thread.on('error', e => this.onerror && this.onerror({ message: e.message, preventDefault() {} }));
+            this.queue.forEach(message => this.thread.postMessage(message));
+            this.queue = null;
+        });
+    }
+
+    postMessage(message) {
+        if (this.queue) this.queue.push(message);
+        else this.thread.postMessage(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+        if (this.thread) this.thread.terminate();
+    }
+}
+globalThis.Worker = WebWorkerForTests;
+
+const { DynamicExecutorBrowserJS } = require('./dynamicExecutorBrowser_js_v1');
+
+function funcData(name, body, extra = {}) {
+    return {
+        name,
+        description: `Test function ${name}.`,
+        parameters_schema: { type: 'object' },
+        permissions: { allowed_apis: [] },
+        code_string: `async function ${name}(params) { ${body} }`,
+        ...extra
+    };
+}
+
+async function withExecutor(external_apis, run, options = {}) {
+    const executor = new DynamicExecutorBrowserJS({ sandbox_limits: { timeout_ms: 1000 }, ...options });
+    await executor.initialize_store_js(() => '', () => external_apis);
+    try {
+        await run(executor);
+    } finally {
+        executor.dispose();
+    }
+}
+
+test('guest code cannot reach worker globals', async () => {
+    await withExecutor({}, async (executor) => {
+        await executor.store_predefined_function_js(funcData('probe', `return JSON.stringify({
+            self: typeof self, globalThis: typeof globalThis, postMessage: typeof postMessage, fetch: typeof fetch,
+            Worker: typeof Worker, Function: typeof Function, eval: typeof eval, ctor: typeof (async () => {}).constructor
+        });`));
+        assert.deepEqual(JSON.parse(await executor.execute_dynamic_function('probe', {})), {
+            self: 'undefined', globalThis: 'undefined', postMessage: 'undefined', fetch: 'undefined',
+            Worker: 'undefined', Function: 'undefined', eval: 'undefined', ctor: 'undefined'
+        });
+        await executor.store_predefined_function_js(funcData('forge', `try { onmessage = () => {}; } catch (e) { return 'blocked'; } return 'assigned';`));
+        assert.equal(await executor.execute_dynamic_function('forge', {}), 'blocked');
+        await executor.store_predefined_function_js(funcData('stringTimer', `try { setTimeout('1', 0); } catch (e) { return 'refused'; } return 'ran';`));
+        assert.equal(await executor.execute_dynamic_function('stringTimer', {}), 'refused');
+    });
+});
+
+test('code using dynamic import() or the functions namespace is refused', async () => {
+    await withExecutor({}, async (executor) => {
+        assert.match(await executor.store_predefined_function_js(funcData('loader', 'await import /* x */ ("https://example.com/a.js"); return "x";')), /dynamic import\(\)/);
+        assert.match(await executor.store_predefined_function_js(funcData('caller', 'return functions.other({});')), /functions\.\*/);
+        assert.match(await executor.store_predefined_function_js(funcData('prose', '// helper functions. Then import the result\nreturn "ok";')), /^Successfully/);
+        await executor.function_store.put('direct', { name: 'direct', description: 'd', parameters_schema_json: '{}', code_string: 'async function direct() { return import("x"); }' });
+        assert.match(await executor.execute_dynamic_function('direct', {}), /dynamic import\(\)/);
+    });
+});
+
+test('permissions: allow-list, args_schema and rate_limit are enforced', async () => {
+    const calls = [];
+    const external_apis = {
+        move: async (args) => { calls.push(args); return 'moved'; },
+        secret: async () => 'SECRET'
+    };
+    await withExecutor(external_apis, async (executor) => {
+        await executor.store_predefined_function_js(funcData('mover', 'return String(await external_apis[params.api](params.args));', {
+            permissions: { allowed_apis: { move: { args_schema: { type: 'object', properties: { dx: { type: 'number', maximum: 5 } } }, rate_limit: { max_calls: 2, window_ms: 60000 } } } }
+        }));
+        assert.equal(await executor.execute_dynamic_function('mover', { api: 'move', args: { dx: 1 } }), 'moved');
+        assert.match(await executor.execute_dynamic_function('mover', { api: 'secret', args: {} }), /not allowed to call external_apis\.secret/);
+        assert.match(await executor.execute_dynamic_function('mover', { api: 'move', args: { dx: 9 } }), /argument_constraint/);
+        assert.equal(await executor.execute_dynamic_function('mover', { api: 'move', args: { dx: 2 } }), 'moved');
+        assert.match(await executor.execute_dynamic_function('mover', { api: 'move', args: { dx: 3 } }), /rate_limited/);
+        assert.deepEqual(calls, [{ dx: 1 }, { dx: 2 }]);
+        assert.deepEqual(executor.get_permission_audit_log_js({ denied_only: true }).map(e => e.reason), ['not_allowed', 'argument_constraint', 'rate_limited']);
+    });
+});
+
+test('params and return values are checked against their schemas', async () => {
+    await withExecutor({}, async (executor) => {
+        await executor.store_predefined_function_js(funcData('typed', 'return params.raw ? "plain" : JSON.stringify({ n: params.n });', {
+            parameters_schema: { type: 'object', properties: { n: { type: 'integer' } }, required: ['n'] },
+            returns_schema: { type: 'object', properties: { n: { type: 'integer' } }, required: ['n'] }
+        }));
+        assert.equal(await executor.execute_dynamic_function('typed', { n: 2 }), '{"n":2}');
+        assert.match(await executor.execute_dynamic_function('typed', { n: 'two' }), /Parameter validation failed/);
+        assert.match(await executor.execute_dynamic_function('typed', { n: 2, raw: true }), /returned a non-JSON string/);
+    });
+});
+
+test('a call that times out ends only its own worker', async () => {
+    await withExecutor({}, async (executor) => {
+        await executor.store_predefined_function_js(funcData('tick', 'if (params.spin) { while (true) {} } await new Promise(r => setTimeout(r, 50)); return "tick " + params.bot;'));
+        const results = await Promise.all([
+            executor.execute_dynamic_function('tick', { bot: 0, spin: true }, null, { limits: { timeout_ms: 300 } }),
+            executor.execute_dynamic_function('tick', { bot: 1 }, null, { limits: { timeout_ms: 300 } }),
+            executor.execute_dynamic_function('tick', { bot: 2 }, null, { limits: { timeout_ms: 300 } })
+        ]);
+        assert.equal(JSON.parse(results[0]).limit_exceeded, 'timeout');
+        assert.deepEqual(results.slice(1), ['tick 1', 'tick 2']);
+        assert.equal(await executor.execute_dynamic_function('tick', { bot: 0 }), 'tick 0');
+    });
+});
+
+test('idle workers are reused, replaced with the function and ended on dispose', async () => {
+    await withExecutor({}, async (executor) => {
+        await executor.store_predefined_function_js(funcData('echo', 'return "v1 " + params.i;'));
+        for (let i = 0; i < 3; i++) await executor.execute_dynamic_function('echo', { i });
+        assert.equal(executor.sandboxes.get('echo').workers.length, 1);
+        await Promise.all([0, 1, 2, 3, 4, 5].map(i => executor.execute_dynamic_function('echo', { i })));
+        assert.equal(executor.sandboxes.get('echo').workers.length, 4);
+
+        await executor.store_predefined_function_js(funcData('echo', 'return "v2 " + params.i;'));
+        assert.equal(await executor.execute_dynamic_function('echo', { i: 7 }), 'v2 7');
+        assert.equal(executor.sandboxes.get('echo').workers.length, 1);
+        executor.dispose();
+        assert.equal(executor.sandboxes.size, 0);
+    }, { max_idle_workers: 4 });
+});
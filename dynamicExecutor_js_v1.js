@@ -1,19 +1,36 @@
 // FILE: dynamicExecutor_js_v1.js v1
 // Node.js version for executing LLM-generated JavaScript functions.
 
-const { OpenAI } = require('openai');
-const { v4: uuidv4 } = require('uuid'); // Ensure uuid is imported
-const fs = require('fs');
 const vm = require('vm');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 
 const dotenv = require('dotenv');
-dotenv.config();
+dotenv.config({ quiet: true }); // dotenv >= 17 logs to stdout otherwise, which `dynexec mcp` owns
 
-const FUNCTION_CODE_DIR = path.join(__dirname, 'generated_functions_js');
-if (!fs.existsSync(FUNCTION_CODE_DIR)) {
-    fs.mkdirSync(FUNCTION_CODE_DIR);
-}
+const { FUNCTION_NAME_PATTERN, InMemoryFunctionStoreJS, FileFunctionStoreJS, SQLiteFunctionStoreJS } = require('./functionStores_js_v1');
+const {
+    normalizeVersionedRecord, appendFunctionVersion, findFunctionVersion, recordAtVersion,
+    summarizeVersion, diffFunctionVersions
+} = require('./functionVersions_js_v1');
+const { validateAgainstSchema } = require('./schemaValidator_js_v1');
+const { runInVmSandbox, runInWorkerSandbox } = require('./sandbox_js_v1');
+const {
+    extractFunctionDependencies, buildDependencyGraph, findDependencyCycle, findImpactedDependents
+} = require('./functionGraph_js_v1');
+const { InMemoryTraceSinkJS, JsonlTraceSinkJS, OTelSpanTraceSinkJS, truncateForTrace, isErrorResult, newRunId } = require('./executionTracing_js_v1');
+const { OpenAICompatibleProviderJS, MockLLMProviderJS, CachingLLMProviderJS } = require('./llmProviders_js_v1');
+const { normalizePermissions, ApiRateLimiterJS, PermissionAuditLogJS, createPermissionedApis } = require('./permissions_js_v1');
+const { summarizeFunctionRecord, checkReturnsSchema } = require('./executorShared_js_v1');
+const {
+    buildMockExternalApis, compareTestOutput, validateTestSuite, summarizeTestResults, formatFailingTests
+} = require('./functionTests_js_v1');
+
+const DEFAULT_FUNCTION_CODE_DIR = path.join(__dirname, 'generated_functions_js');
+const DEFAULT_SANDBOX_LIMITS = { timeout_ms: 15000, memory_mb: 64 };
+const DEFAULT_AGENT_MAX_STEPS = 8;
+const DEFAULT_MAX_CALL_DEPTH = 8;
+const DEFAULT_AGENT_SYSTEM_PROMPT = "You are an agent that completes tasks by calling tools. Every stored dynamic function is available as a tool. If no tool fits, call create_dynamic_function to create one, then call it. Tool results are strings, usually JSON. When the task is done, reply with the final answer and no tool calls.";
 
 const FUNCTION_CREATION_TOOL_DEFINITION_JS = {
     name: 'create_dynamic_function',
@@ -38,19 +55,80 @@ const FUNCTION_CREATION_TOOL_DEFINITION_JS = {
                     required: { type: 'array', items: { type: 'string' } }
                 },
                 required: ['type', 'properties']
+            },
+            new_function_returns_schema: {
+                type: 'object',
+                description: 'Optional JSON schema for the value the new function returns. If given, the function must return JSON.stringify of a value matching it, and every result is checked against it.',
+            },
+            new_function_examples: {
+                type: 'array',
+                description: 'Optional behavioral test cases. The generated code is run against them before it is stored and regenerated if any fail. A string expected_output must equal the result exactly; any other value is compared with the JSON-parsed result.',
+                items: {
+                    type: 'object',
+                    properties: {
+                        description: { type: 'string' },
+                        params: { type: 'object' },
+                        expected_output: {},
+                        match: { type: 'string', enum: ['exact', 'subset'] }
+                    },
+                    required: ['params', 'expected_output']
+                }
+            },
+            new_function_mock_external_apis: {
+                type: 'object',
+                description: 'Optional canned responses for external_apis used while running new_function_examples, keyed by API name. An array value is returned one element per call.',
+            },
+            new_function_permissions: {
+                type: 'object',
+                description: 'The host APIs the new function may call: { "allowed_apis": ["apiName", ...] }, or an object keyed by API name with optional args_schema and rate_limit entries. If omitted, the function may not call any external_apis.',
+                properties: {
+                    allowed_apis: {}
+                },
+                required: ['allowed_apis']
             }
         },
         required: ['new_function_name', 'new_function_description', 'new_function_parameters_schema'],
     },
 };
 
+// Chat-completions tool entry for a { name, description, parameters } definition.
+function toChatTool({ name, description, parameters }) {
+    return { type: 'function', function: { name, description, parameters } };
+}
+
 
 class DynamicExecutorJS {
-    constructor() {
-        this.openai_client = new OpenAI({
+    // options.function_store: any object implementing get/put/list/delete (see functionStores_js_v1.js).
+    //   Defaults to the file store in ./generated_functions_js.
+    // options.sandbox_mode: 'worker' (default) or 'vm'; see sandbox_js_v1.js for the trade-offs.
+    //   'vm' cannot stop a guest that loops across awaits, so timeout_ms does not protect the host there.
+    // options.sandbox_limits: { timeout_ms, memory_mb } defaults for every call.
+    // options.require_permissions: deny all external_apis to functions stored without permissions.
+    // options.llm_provider: see llmProviders_js_v1.js. Defaults to an OpenAI-compatible provider
+    //   configured from GEMINI_API_KEY / OPENAI_API_BASE_URL.
+    // options.llm_model: defaults to OPENAI_LLM_MODEL or gpt-3.5-turbo.
+    // options.max_call_depth: how deep functions may call each other through `functions`.
+    // options.trace_sinks: where execution records go (see executionTracing_js_v1.js).
+    //   Defaults to one in-memory sink; pass [] to turn tracing off.
+    // options.static_analysis: set to false to store code without the checks in codeAnalysis_js_v1.js
+    //   (which needs the acorn and acorn-walk packages).
+    constructor(options = {}) {
+        this.function_store = options.function_store || new FileFunctionStoreJS(DEFAULT_FUNCTION_CODE_DIR);
+        this.sandbox_mode = options.sandbox_mode || 'worker';
+        this.sandbox_limits = { ...DEFAULT_SANDBOX_LIMITS, ...(options.sandbox_limits || {}) };
+        this.require_permissions = options.require_permissions === true;
+        this.api_rate_limiter = new ApiRateLimiterJS();
+        this.permission_audit = new PermissionAuditLogJS();
+        this.max_call_depth = options.max_call_depth || DEFAULT_MAX_CALL_DEPTH;
+        this.log_listeners = new Set();
+        this.scoped_log_listener = new AsyncLocalStorage();
+        this.trace_sinks = options.trace_sinks || [new InMemoryTraceSinkJS()];
+        this.static_analysis = options.static_analysis !== false;
+        this.llm_provider = options.llm_provider || new OpenAICompatibleProviderJS({
             apiKey: process.env.GEMINI_API_KEY, 
             baseURL: process.env.OPENAI_API_BASE_URL 
         });
+        this.llm_model = options.llm_model || process.env.OPENAI_LLM_MODEL || "gpt-3.5-turbo";
         this.host_api_description_getter = null;
         this.host_api_execution_dict_getter = null;
         this.is_debug = true; 
@@ -59,32 +137,130 @@ class DynamicExecutorJS {
 
     debug_log(...args) {
         if (this.is_debug) console.log('[DEBUG DynamicExecutorJS]', ...args);
+        if (this.log_listeners.size > 0 || this.scoped_log_listener.getStore()) {
+            this._emit_log({ level: 'debug', message: args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' ') });
+        }
+    }
+
+    // Subscribes to debug and guest console output of every call, independent of is_debug. Entries look like
+    // { time, level: 'debug' | 'log' | 'warn' | 'error', message, function_name?, run_id?, root_run_id? }
+    // (guest output carries the run ids of its trace record). Returns an unsubscribe function.
+    on_log(listener) {
+        this.log_listeners.add(listener);
+        return () => this.log_listeners.delete(listener);
+    }
+
+    // Runs `task` with `listener` also receiving the entries emitted on behalf of that task
+    // (including nested calls), but not those of concurrent calls. Resolves to task's result.
+    with_log_listener(listener, task) {
+        return this.scoped_log_listener.run(listener, task);
+    }
+
+    // `scoped_listener` is passed explicitly by callbacks that may fire outside the caller's
+    // async context (sandbox worker messages).
+    _emit_log(entry, scoped_listener = this.scoped_log_listener.getStore()) {
+        const logEntry = { time: new Date().toISOString(), ...entry };
+        const listeners = scoped_listener ? [...this.log_listeners, scoped_listener] : this.log_listeners;
+        for (const listener of listeners) {
+            try {
+                listener(logEntry);
+            } catch (e) {
+                console.error(`Log listener failed: ${e.message}`);
+            }
+        }
     }
 
     async initialize_store_js(apiDescriptionGetter, apiExecutionDictGetter) {
         this.host_api_description_getter = apiDescriptionGetter;
         this.host_api_execution_dict_getter = apiExecutionDictGetter;
-        this.debug_log("DynamicExecutorJS store initialized (file-based for demo).");
+        this.debug_log(`DynamicExecutorJS store initialized (${this._describe_store()}, LLM: ${this.llm_provider.describe()}).`);
+    }
+
+    _describe_store() {
+        return typeof this.function_store.describe === 'function' ? this.function_store.describe() : 'custom store';
     }
 
     async clear_function_store_js() {
-        this.debug_log(`Clearing generated JS functions from directory: ${FUNCTION_CODE_DIR}`);
+        this.debug_log(`Clearing generated JS functions from ${this._describe_store()}`);
         try {
-            const files = fs.readdirSync(FUNCTION_CODE_DIR);
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    fs.unlinkSync(path.join(FUNCTION_CODE_DIR, file));
-                }
+            const records = await this.function_store.list();
+            for (const record of records) {
+                await this.function_store.delete(record.name);
             }
-            this.debug_log("Generated JS function files cleared.");
+            this.debug_log("Generated JS functions cleared.");
         } catch (e) {
-            this.debug_log(`Error clearing generated JS function files: ${e}`);
+            this.debug_log(`Error clearing generated JS functions: ${e}`);
         }
     }
 
-    _generateJSFunctionCreationPrompt(name, description, parameters_schema, host_provided_api_description, is_repair = false, previous_code = null, error_message = null) {
+    async list_functions_js() {
+        return (await this.function_store.list()).map(summarizeFunctionRecord);
+    }
+
+    // prompt_options.returns_schema: schema the JSON-stringified return value must match.
+    // prompt_options.allowed_api_names: external_apis the function is permitted to call.
+    // prompt_options.examples: behavioral test cases the function will be checked against.
+    // prompt_options.failing_tests: with is_repair, switches to the test-failure repair variant.
+    // prompt_options.rule_violations: with is_repair, switches to the variant for code that parses but
+    //   was rejected by static analysis or the dependency check.
+    // prompt_options.available_functions: other stored functions reachable through `functions`.
+    _generateJSFunctionCreationPrompt(name, description, parameters_schema, host_provided_api_description, is_repair = false, previous_code = null, error_message = null, prompt_options = {}) {
         let prompt = "";
-        if (is_repair) {
+        const extra_instructions = [];
+        if (prompt_options.returns_schema) {
+            extra_instructions.push(`On success the function MUST return \`JSON.stringify(value)\` where \`value\` matches this JSON schema (error results may still use the \`{ error: "..." }\` shape):
+${JSON.stringify(prompt_options.returns_schema, null, 2)}`);
+        }
+        if (prompt_options.allowed_api_names) {
+            extra_instructions.push(prompt_options.allowed_api_names.length > 0
+                ? `This function is only permitted to call these host APIs: ${prompt_options.allowed_api_names.map(n => `\`external_apis.${n}\``).join(', ')}. Calls to any other host API will be denied.`
+                : `This function is not permitted to call any host APIs. Do not use \`external_apis\`.`);
+        }
+        if (prompt_options.available_functions && prompt_options.available_functions.length > 0) {
+            extra_instructions.push(`Other stored functions can be reused through the \`functions\` object: \`const resultString = await functions.someName(paramsObject);\`. Each resolves to that function's string result (check it for an error before using it). Only functions named literally in the code are available, so do not build names at runtime. A function must not call itself, directly or through others. Available functions:
+${prompt_options.available_functions.map(f => `- \`functions.${f.name}\`: ${f.description} Params schema: ${JSON.stringify(f.parameters_schema)}`).join('\n')}`);
+        }
+        if (prompt_options.examples && prompt_options.examples.length > 0) {
+            extra_instructions.push(`The function will be tested with these examples (params -> expected_output). A string expected_output must be returned exactly; other values are compared with the JSON-parsed result:
+${prompt_options.examples.map(e => `- ${JSON.stringify(e.params || {})} -> ${JSON.stringify(e.expected_output)}${e.match === 'subset' ? ' (only the listed keys are compared)' : ''}`).join('\n')}`);
+        }
+        if (is_repair && prompt_options.failing_tests) {
+            prompt = `You are an expert JavaScript function generator fixing a function that fails its behavioral tests.
+The asynchronous function named \`${name}\` must do the following: ${description}
+Parameters Schema (for the 'params' object this function will receive):
+${JSON.stringify(parameters_schema, null, 2)}
+
+Available Host APIs (in \`external_apis\` object; mocked with canned responses during the tests):
+${host_provided_api_description || "No specific host APIs were described for this task."}
+
+The code you previously generated runs, but it produced wrong results for these test cases:
+${prompt_options.failing_tests}
+
+The code was:
+\`\`\`javascript
+${previous_code}
+\`\`\`
+
+Please fix the logic so that every test case produces its expected_output, and provide the complete, valid asynchronous JavaScript function code again. Review the CRITICAL instructions below.`;
+        } else if (is_repair && prompt_options.rule_violations) {
+            prompt = `You are an expert JavaScript function generator fixing a function that the executor's safety checks rejected.
+The asynchronous function named \`${name}\` must do the following: ${description}
+Parameters Schema (for the 'params' object this function will receive):
+${JSON.stringify(parameters_schema, null, 2)}
+
+Available Host APIs (in \`external_apis\` object):
+${host_provided_api_description || "No specific host APIs were described for this task."}
+
+The code you previously generated is valid JavaScript, but it breaks these rules of the sandbox:
+${prompt_options.rule_violations}
+
+The code was:
+\`\`\`javascript
+${previous_code}
+\`\`\`
+
+Please rewrite it so that none of these rules are broken, without working around them (for example by building forbidden names from strings), and provide the complete, valid asynchronous JavaScript function code again. Review the CRITICAL instructions below.`;
+        } else if (is_repair) {
             prompt = `You are an expert JavaScript function generator assisting with a syntax error repair.
 The JavaScript code you previously generated for the asynchronous function named \`${name}\` had an error: ${error_message}
 
@@ -126,7 +302,7 @@ CRITICAL Instructions for JavaScript Code Generation:
 7.  DO NOT include any \`require()\` calls or access \`process\`, \`fs\`, etc. These modules are not available in the sandbox environment. Functions like \`uuidv4\` (for generating UUIDs) and basic \`Math\` functions ARE available directly in the sandbox. The \`THREE\` library is NOT available. If you need vector math, implement simple helper functions for it within your generated code string or perform calculations component-wise.
 8.  Output ONLY the JavaScript function code block. Do NOT include \`\`\`javascript or any other surrounding text or explanations.
 9.  Ensure all paths in your function return a string.
-
+${extra_instructions.map((instruction, i) => `${10 + i}. ${instruction}\n`).join('')}
 Example Function Structure (Pay ATTENTION to async/await, direct external_apis access, JSON parsing, and error handling):
 \`\`\`javascript
 async function exampleTool(params) {
@@ -169,35 +345,78 @@ Generate *only* the asynchronous JavaScript function code for \`${name}\` based
         return prompt;
     }
 
-    async create_dynamic_function(new_function_name, new_function_description, new_function_parameters_schema, host_provided_api_description_for_new_func) {
+    // creation_options.returns_schema: optional JSON schema every successful result must match.
+    // creation_options.permissions: host APIs the function may call (see permissions_js_v1.js).
+    // creation_options.examples / creation_options.mock_external_apis: behavioral tests the code must
+    //   pass before it is stored (see functionTests_js_v1.js); failing cases are fed back to the LLM.
+    // creation_options.store_failing_tests: store the last candidate even if its tests still fail.
+    async create_dynamic_function(new_function_name, new_function_description, new_function_parameters_schema, host_provided_api_description_for_new_func, creation_options = {}) {
         this.debug_log(`Attempting to create JS dynamic function: ${new_function_name}`);
         if (!new_function_name || !new_function_description || !new_function_parameters_schema) {
             return "Error: Missing required arguments for JS function creation.";
         }
-        if (!/^[a-zA-Z_$][0-9a-zA-Z_$]*$/.test(new_function_name)) {
+        const returns_schema = creation_options.returns_schema || null;
+        if (typeof new_function_parameters_schema !== 'object' || (returns_schema !== null && typeof returns_schema !== 'object')) {
+            return "Error: Parameter and return schemas for JS function creation must be JSON schema objects.";
+        }
+        let permissions = null;
+        if (creation_options.permissions) {
+            try {
+                permissions = normalizePermissions(creation_options.permissions);
+            } catch (e) {
+                return `Error: Invalid permissions for JS function '${new_function_name}': ${e.message}`;
+            }
+        }
+        const examples = creation_options.examples || null;
+        const mock_external_apis = creation_options.mock_external_apis || {};
+        if (examples) {
+            try {
+                validateTestSuite(examples);
+            } catch (e) {
+                return `Error: Invalid examples for JS function '${new_function_name}': ${e.message}`;
+            }
+        }
+        if (!FUNCTION_NAME_PATTERN.test(new_function_name)) {
             return `Error: Invalid JS function name '${new_function_name}'.`;
         }
 
         let generated_code_string = "";
         let last_error = null;
         let sanitized_code = "";
+        let repair_attempts = 0;
+        let test_results = null;
+        let failing_tests_feedback = null;
+        let rule_violations_feedback = null;
+        const llm_model = this.llm_model;
+        const available_functions = (await this.list_functions_js()).filter(f => f.name !== new_function_name);
 
         for (let attempt = 0; attempt < this.MAX_SYNTAX_REPAIR_RETRIES + 1; attempt++) {
+            repair_attempts = attempt;
             try {
                 const prompt = this._generateJSFunctionCreationPrompt(
                     new_function_name, new_function_description, new_function_parameters_schema,
                     host_provided_api_description_for_new_func || (this.host_api_description_getter ? this.host_api_description_getter() : "No host APIs provided."),
-                    attempt > 0, generated_code_string, last_error ? last_error.message : null
+                    attempt > 0, generated_code_string, last_error ? last_error.message : null,
+                    {
+                        returns_schema,
+                        allowed_api_names: permissions ? Object.keys(permissions.allowed_apis) : null,
+                        examples,
+                        failing_tests: failing_tests_feedback,
+                        rule_violations: rule_violations_feedback,
+                        available_functions
+                    }
                 );
+                failing_tests_feedback = null;
+                rule_violations_feedback = null;
 
-                this.debug_log(`Calling LLM (${process.env.OPENAI_LLM_MODEL || "gpt-3.5-turbo"}) for JS function: ${new_function_name} (Attempt: ${attempt + 1})`);
-                const response = await this.openai_client.chat.completions.create({
-                    model: process.env.OPENAI_LLM_MODEL || "gpt-3.5-turbo", 
+                this.debug_log(`Calling LLM (${llm_model}) for JS function: ${new_function_name} (Attempt: ${attempt + 1})`);
+                const response = await this.llm_provider.complete({
+                    model: llm_model,
                     messages: [{ role: 'user', content: prompt }],
                     temperature: 0.0
                 });
 
-                generated_code_string = response.choices[0]?.message?.content?.trim();
+                generated_code_string = response.content?.trim();
 
                 if (!generated_code_string) {
                     last_error = new Error("LLM returned empty code string.");
@@ -220,8 +439,6 @@ Generate *only* the asynchronous JavaScript function code for \`${name}\` based
                     `;
                     new vm.Script(vmScriptCode, { filename: `<syntax_check:${new_function_name}>` });
                     this.debug_log(`Syntax validation passed for ${new_function_name} on attempt ${attempt + 1}.`);
-                    last_error = null; 
-                    break; 
                 } catch (syntaxError) {
                     this.debug_log(`SyntaxError during LLM code validation for ${new_function_name} (Attempt ${attempt + 1}): ${syntaxError.message}`);
                     last_error = syntaxError;
@@ -230,6 +447,43 @@ Generate *only* the asynchronous JavaScript function code for \`${name}\` based
                     }
                     continue; 
                 }
+
+                const static_violations = this._static_analysis_violations(new_function_name, sanitized_code, permissions);
+                if (static_violations.length > 0) {
+                    this.debug_log(`Static analysis rejected ${new_function_name} (Attempt ${attempt + 1}): ${static_violations.length} violation(s).`);
+                    rule_violations_feedback = this._format_static_violations(static_violations);
+                    last_error = new Error(`Static analysis found ${static_violations.length} problem(s) that must be fixed:\n${rule_violations_feedback}`);
+                    continue;
+                }
+
+                const dependency_check = await this._check_function_dependencies(new_function_name, sanitized_code);
+                const dependency_problem = dependency_check.cycle
+                    ? `The code creates a call cycle between stored functions: ${dependency_check.cycle.join(' -> ')}.`
+                    : (dependency_check.unknown.length > 0 ? `The code calls functions that do not exist: ${dependency_check.unknown.map(n => `functions.${n}`).join(', ')}.` : null);
+                if (dependency_problem) {
+                    this.debug_log(`Dependency check failed for ${new_function_name} (Attempt ${attempt + 1}): ${dependency_problem}`);
+                    rule_violations_feedback = `- [dependencies]: ${dependency_problem}`;
+                    last_error = new Error(dependency_problem);
+                    continue;
+                }
+
+                if (examples) {
+                    test_results = await this._run_function_tests(new_function_name, {
+                        code_string: sanitized_code,
+                        parameters_schema: new_function_parameters_schema,
+                        returns_schema,
+                        permissions
+                    }, examples, mock_external_apis);
+                    if (!test_results.all_passed) {
+                        this.debug_log(`Behavioral tests failed for ${new_function_name} (Attempt ${attempt + 1}): ${test_results.failed}/${test_results.total}`);
+                        failing_tests_feedback = formatFailingTests(test_results.cases);
+                        last_error = new Error(`${test_results.failed} of ${test_results.total} behavioral tests failed.\n${failing_tests_feedback}`);
+                        continue;
+                    }
+                    this.debug_log(`All ${test_results.total} behavioral tests passed for ${new_function_name} on attempt ${attempt + 1}.`);
+                }
+                last_error = null; 
+                break; 
             } catch (error) {
                 this.debug_log(`Error calling LLM for function ${new_function_name} (Attempt ${attempt + 1}): ${error}`);
                 last_error = error;
@@ -239,24 +493,30 @@ Generate *only* the asynchronous JavaScript function code for \`${name}\` based
             }
         }
 
-        if (last_error) { 
+        const tests_still_failing = last_error && test_results && !test_results.all_passed && sanitized_code;
+        if (tests_still_failing && creation_options.store_failing_tests) {
+            this.debug_log(`Storing ${new_function_name} although ${test_results.failed} behavioral test(s) still fail (store_failing_tests).`);
+        } else if (last_error) { 
             const error_message = `Error: Failed to generate/validate JS code for ${new_function_name} after ${this.MAX_SYNTAX_REPAIR_RETRIES + 1} attempt(s). Last error: ${last_error.message}`;
             console.error(error_message);
             return error_message;
         }
 
         try {
-            const funcData = {
-                name: new_function_name,
+            const funcData = await this._save_function_version(new_function_name, {
                 description: new_function_description,
                 parameters_schema_json: JSON.stringify(new_function_parameters_schema), 
+                returns_schema_json: returns_schema ? JSON.stringify(returns_schema) : null,
+                permissions_json: permissions ? JSON.stringify(permissions) : null,
+                test_suite_json: examples ? JSON.stringify({ examples, mock_external_apis }) : null,
+                test_results_json: test_results ? JSON.stringify(test_results) : null,
                 code_string: sanitized_code, 
-                is_internal_special_function: false 
-            };
-            const filePath = path.join(FUNCTION_CODE_DIR, `${new_function_name}.json`);
-            fs.writeFileSync(filePath, JSON.stringify(funcData, null, 2));
-            this.debug_log(`Stored JS function ${new_function_name} at ${filePath}`);
-            return `Successfully created/updated JS dynamic function: ${new_function_name}`;
+                model: llm_model,
+                repair_attempts: repair_attempts,
+                source: 'generated'
+            });
+            this.debug_log(`Stored JS function ${new_function_name} v${funcData.current_version} in ${this._describe_store()}`);
+            return `Successfully created/updated JS dynamic function: ${new_function_name} (version ${funcData.current_version})`;
         } catch (db_error) {
             console.error(`Error storing JS function definition ${new_function_name}: ${db_error}`);
             return `Error: Failed to store JS function definition ${new_function_name}. ${db_error.message}`;
@@ -265,16 +525,33 @@ Generate *only* the asynchronous JavaScript function code for \`${name}\` based
 
     async store_predefined_function_js(funcData) {
         const { name, description, parameters_schema_json, code_string } = funcData;
+        const returns_schema_json = funcData.returns_schema_json || null;
+        let permissions_json = null;
+        let test_suite_json = null;
         if (!name || !description || !parameters_schema_json || !code_string) {
             const errorMsg = `Error: Missing required fields in funcData for ${name || 'unnamed function'}. Required: name, description, parameters_schema_json, code_string.`;
             console.error(errorMsg);
             return errorMsg;
         }
-        if (!/^[a-zA-Z_$][0-9a-zA-Z_$]*$/.test(name)) {
+        if (!FUNCTION_NAME_PATTERN.test(name)) {
             const errorMsg = `Error: Invalid JS function name '${name}'.`;
             console.error(errorMsg);
             return errorMsg;
         }
+        try {
+            JSON.parse(parameters_schema_json);
+            if (returns_schema_json) JSON.parse(returns_schema_json);
+            if (funcData.permissions_json) permissions_json = JSON.stringify(normalizePermissions(JSON.parse(funcData.permissions_json)));
+            if (funcData.test_suite_json) {
+                const test_suite = JSON.parse(funcData.test_suite_json);
+                validateTestSuite(test_suite.examples);
+                test_suite_json = JSON.stringify({ examples: test_suite.examples, mock_external_apis: test_suite.mock_external_apis || {} });
+            }
+        } catch (schemaError) {
+            const errorMsg = `Error: Invalid schema, permissions or test suite JSON in predefined function ${name}: ${schemaError.message}`;
+            console.error(errorMsg);
+            return errorMsg;
+        }
     
         // Basic syntax validation
         try {
@@ -295,19 +572,28 @@ Generate *only* the asynchronous JavaScript function code for \`${name}\` based
             console.error(`Faulty code for ${name}:\n${code_string.substring(0, 500)}...`);
             return errorMsg;
         }
+
+        const static_violations = this._static_analysis_violations(name, code_string, permissions_json ? JSON.parse(permissions_json) : null);
+        if (static_violations.length > 0) {
+            const errorMsg = `Error: Static analysis rejected predefined function ${name}:\n${this._format_static_violations(static_violations)}`;
+            console.error(errorMsg);
+            return errorMsg;
+        }
     
         try {
-            const filePath = path.join(FUNCTION_CODE_DIR, `${name}.json`);
-            const dataToStore = {
-                name: name,
+            const storedData = await this._save_function_version(name, {
                 description: description,
                 parameters_schema_json: parameters_schema_json, // Assuming it's already a JSON string
+                returns_schema_json: returns_schema_json,
+                permissions_json: permissions_json,
+                test_suite_json: test_suite_json,
                 code_string: code_string,
-                is_internal_special_function: false
-            };
-            fs.writeFileSync(filePath, JSON.stringify(dataToStore, null, 2));
-            this.debug_log(`Stored predefined JS function ${name} at ${filePath}`);
-            return `Successfully stored predefined JS function: ${name}`;
+                model: null,
+                repair_attempts: 0,
+                source: 'predefined'
+            });
+            this.debug_log(`Stored predefined JS function ${name} v${storedData.current_version} in ${this._describe_store()}`);
+            return `Successfully stored predefined JS function: ${name} (version ${storedData.current_version})`;
         } catch (store_error) {
             const errorMsg = `Error storing predefined JS function definition ${name}: ${store_error.message}`;
             console.error(errorMsg);
@@ -315,25 +601,142 @@ Generate *only* the asynchronous JavaScript function code for \`${name}\` based
         }
     }
 
-    async get_function_definition_js(function_name) {
-        const filePath = path.join(FUNCTION_CODE_DIR, `${function_name}.json`);
-        if (fs.existsSync(filePath)) {
-            try {
-                const fileContent = fs.readFileSync(filePath, 'utf-8');
-                const funcData = JSON.parse(fileContent);
-                return {
-                    ...funcData,
-                    parameters_schema: JSON.parse(funcData.parameters_schema_json)
-                };
-            } catch (e) {
-                this.debug_log(`Error reading/parsing JS function file ${function_name}:`, e);
-                return null;
+    // Every save appends a new version instead of overwriting the previous code.
+    // Records the `functions.*` dependencies of every version and refuses to store call cycles.
+    async _save_function_version(name, versionData) {
+        const { dependencies, cycle, graph } = await this._check_function_dependencies(name, versionData.code_string);
+        if (cycle) {
+            throw new Error(`Storing ${name} would create a call cycle: ${cycle.join(' -> ')}`);
+        }
+        const existing = await this.function_store.get(name);
+        const record = appendFunctionVersion(existing, name, { ...versionData, dependencies });
+        await this.function_store.put(name, record);
+        if (existing && (existing.parameters_schema_json !== record.parameters_schema_json || (existing.returns_schema_json || null) !== (record.returns_schema_json || null))) {
+            const impacted = findImpactedDependents(graph, name);
+            if (impacted.length > 0) {
+                console.warn(`Schema of JS function '${name}' changed; dependents that may break: ${impacted.map(entry => entry.name).join(', ')}`);
+            }
+        }
+        return record;
+    }
+
+    // Checks against the described host APIs (when a getter is set) and the function's permissions.
+    // codeAnalysis_js_v1.js (and with it acorn) is only loaded when static analysis is on.
+    _static_analysis_violations(function_name, code_string, permissions) {
+        if (!this.static_analysis) return [];
+        const { analyzeGeneratedCode } = require('./codeAnalysis_js_v1');
+        const host_apis = this.host_api_execution_dict_getter ? this.host_api_execution_dict_getter() : null;
+        return analyzeGeneratedCode(code_string, {
+            function_name,
+            known_api_names: host_apis ? Object.keys(host_apis) : null,
+            permitted_api_names: permissions ? Object.keys(permissions.allowed_apis) : null
+        });
+    }
+
+    _format_static_violations(violations) {
+        return require('./codeAnalysis_js_v1').formatStaticViolations(violations);
+    }
+
+    // Dependency graph as it would be with `code_string` stored under `name`.
+    async _check_function_dependencies(name, code_string) {
+        const dependencies = extractFunctionDependencies(code_string);
+        const graph = buildDependencyGraph(await this.function_store.list());
+        const unknown = dependencies.filter(dependency => dependency !== name && !graph.has(dependency));
+        graph.set(name, dependencies);
+        return { dependencies, unknown, cycle: findDependencyCycle(graph, name), graph };
+    }
+
+    // { nodes: [name], edges: [{ from: caller, to: dependency }] } over all stored functions.
+    async get_dependency_graph_js() {
+        const graph = buildDependencyGraph(await this.function_store.list());
+        const edges = [];
+        for (const [caller, dependencies] of graph) {
+            for (const dependency of dependencies) edges.push({ from: caller, to: dependency, missing: !graph.has(dependency) });
+        }
+        return { nodes: [...graph.keys()].sort(), edges };
+    }
+
+    // Functions that call `function_name` directly or transitively, i.e. those that may break
+    // when it changes. Each entry carries the call path from the dependent down to it.
+    async get_impacted_functions_js(function_name) {
+        const graph = buildDependencyGraph(await this.function_store.list());
+        if (!graph.has(function_name)) {
+            return `Error: JS Function '${function_name}' not found.`;
+        }
+        const impacted = findImpactedDependents(graph, function_name);
+        return {
+            function_name,
+            dependencies: graph.get(function_name),
+            direct_dependents: impacted.filter(entry => entry.depth === 1).map(entry => entry.name),
+            impacted
+        };
+    }
+
+    // `version` pins a specific saved version; by default the current one is returned.
+    async get_function_definition_js(function_name, version = null) {
+        try {
+            const storedData = await this.function_store.get(function_name);
+            if (!storedData) return null;
+            const funcData = recordAtVersion(storedData, version);
+            if (!funcData) return null;
+            return {
+                ...funcData,
+                parameters_schema: JSON.parse(funcData.parameters_schema_json),
+                returns_schema: funcData.returns_schema_json ? JSON.parse(funcData.returns_schema_json) : null,
+                permissions: funcData.permissions_json ? JSON.parse(funcData.permissions_json) : null
+            };
+        } catch (e) {
+            this.debug_log(`Error reading/parsing JS function ${function_name}:`, e);
+            return null;
+        }
+    }
+
+    async list_function_versions_js(function_name) {
+        const record = normalizeVersionedRecord(await this.function_store.get(function_name));
+        if (!record) return null;
+        return record.versions.map(v => ({ ...summarizeVersion(v), is_current: v.version === record.current_version }));
+    }
+
+    async get_function_version_js(function_name, version) {
+        const found = findFunctionVersion(await this.function_store.get(function_name), version);
+        if (!found) return null;
+        return { ...found, parameters_schema: JSON.parse(found.parameters_schema_json) };
+    }
+
+    async diff_function_versions_js(function_name, from_version, to_version = null) {
+        const record = await this.function_store.get(function_name);
+        const fromVersion = findFunctionVersion(record, from_version);
+        const toVersion = findFunctionVersion(record, to_version);
+        if (!fromVersion || !toVersion) return null;
+        return { name: function_name, ...diffFunctionVersions(fromVersion, toVersion) };
+    }
+
+    // Rolling back appends a copy of the target version, so the rolled-back-over
+    // versions stay in the history.
+    async rollback_function_js(function_name, version) {
+        try {
+            const target = findFunctionVersion(await this.function_store.get(function_name), version);
+            if (!target) {
+                return `Error: Version ${version} of JS function '${function_name}' not found.`;
             }
+            const { version: targetVersion, created_at, rolled_back_from, ...versionData } = target;
+            const record = await this._save_function_version(function_name, {
+                ...versionData,
+                source: 'rollback',
+                rolled_back_from: targetVersion
+            });
+            this.debug_log(`Rolled back JS function ${function_name} to v${targetVersion} as v${record.current_version}`);
+            return `Successfully rolled back JS function ${function_name} to version ${targetVersion} (now version ${record.current_version})`;
+        } catch (e) {
+            const errorMsg = `Error: Failed to roll back JS function ${function_name}: ${e.message}`;
+            console.error(errorMsg);
+            return errorMsg;
         }
-        return null;
     }
 
-    async execute_dynamic_function(function_name, params_for_function, external_apis_dict_override = null) {
+    // execution_options.version: run a pinned version instead of the current one.
+    // execution_options.sandbox_mode / execution_options.limits: per-call sandbox overrides.
+    async execute_dynamic_function(function_name, params_for_function, external_apis_dict_override = null, execution_options = {}) {
         this.debug_log(`Attempting to execute JS function: ${function_name} with params: ${JSON.stringify(params_for_function).substring(0, 100)}...`);
 
         if (function_name === FUNCTION_CREATION_TOOL_DEFINITION_JS.name) {
@@ -354,7 +757,14 @@ Generate *only* the asynchronous JavaScript function code for \`${name}\` based
                     creationParams.new_function_name,
                     creationParams.new_function_description,
                     creationParams.new_function_parameters_schema,
-                    hostApiDesc 
+                    hostApiDesc,
+                    {
+                        returns_schema: creationParams.new_function_returns_schema,
+                        examples: creationParams.new_function_examples,
+                        mock_external_apis: creationParams.new_function_mock_external_apis,
+                        // Functions written through the tool never get unrestricted external_apis.
+                        permissions: creationParams.new_function_permissions || { allowed_apis: {} }
+                    }
                 );
             } catch (error) {
                 console.error(`Error executing internal JS function ${function_name}: ${error}`);
@@ -362,72 +772,408 @@ Generate *only* the asynchronous JavaScript function code for \`${name}\` based
             }
         }
 
-        const func_def = await this.get_function_definition_js(function_name);
+        const pinned_version = execution_options.version !== undefined ? execution_options.version : null;
+        const func_def = await this.get_function_definition_js(function_name, pinned_version);
         if (!func_def || !func_def.code_string) {
+            if (pinned_version !== null) {
+                return `Error: JS Function '${function_name}' version ${pinned_version} not found or has no code.`;
+            }
             return `Error: JS Function '${function_name}' not found or has no code.`;
         }
 
-        const code_string = func_def.code_string;
         const external_apis = external_apis_dict_override !== null ? external_apis_dict_override : (this.host_api_execution_dict_getter ? this.host_api_execution_dict_getter() : {});
+        return this._run_function_definition(function_name, func_def, params_for_function, external_apis, execution_options);
+    }
 
-        try {
-            const sandbox = {
-                params: params_for_function,
-                external_apis: external_apis,
-                JSON: JSON, 
-                uuidv4: uuidv4, 
-                Math: Math, 
-                console: { 
-                    log: (...args) => this.debug_log(`[GuestCode Log: ${function_name}] ${args.map(String).join(' ')}`),
-                    error: (...args) => console.error(`[GuestCode ERROR: ${function_name}] ${args.map(String).join(' ')}`),
-                    warn: (...args) => console.warn(`[GuestCode WARN: ${function_name}] ${args.map(String).join(' ')}`)
-                },
-                setTimeout, 
-                clearTimeout,
-                setInterval,
-                clearInterval,
-                Promise, 
+    // Validates params, applies permissions and runs one function definition in the sandbox.
+    // Also used for candidates that are not stored yet (behavioral tests during creation).
+    async _run_function_definition(function_name, func_def, params_for_function, external_apis, execution_options = {}) {
+        if (params_for_function === undefined || params_for_function === null) {
+            params_for_function = {};
+        }
+        const sandbox_mode = execution_options.sandbox_mode || this.sandbox_mode;
+        const trace = this._start_trace(function_name, func_def, params_for_function, sandbox_mode, execution_options);
+        const params_errors = validateAgainstSchema(params_for_function, func_def.parameters_schema);
+        if (params_errors.length > 0) {
+            this.debug_log(`Parameter validation failed for ${function_name}:`, params_errors);
+            const message = `Parameter validation failed for JS function '${function_name}'.`;
+            return this._finish_trace(trace, 'invalid_params', JSON.stringify({
+                error: message,
+                validation_errors: params_errors
+            }), { message, validation_errors: params_errors });
+        }
+
+        const code_string = func_def.code_string;
+        let permissions = func_def.permissions;
+        if (permissions === null && this.require_permissions) {
+            permissions = { allowed_apis: {} };
+        }
+        const guest_apis = this._trace_api_calls(trace, createPermissionedApis({
+            function_name,
+            permissions,
+            external_apis,
+            rate_limiter: execution_options.rate_limiter || this.api_rate_limiter,
+            on_audit: (entry) => this.permission_audit.record(entry)
+        }));
+
+        const limits = { ...this.sandbox_limits, ...(execution_options.limits || {}) };
+        const scoped_listener = this.scoped_log_listener.getStore();
+        const guest_functions = this._build_guest_functions(function_name, func_def, external_apis, {
+            sandbox_mode,
+            limits,
+            rate_limiter: execution_options.rate_limiter,
+            call_stack: execution_options.call_stack || [],
+            parent_run_id: trace.run_id,
+            root_run_id: trace.root_run_id,
+            trace_kind: trace.kind
+        });
+        const runSandbox = sandbox_mode === 'worker' ? runInWorkerSandbox : runInVmSandbox;
+        const outcome = await runSandbox({
+            function_name,
+            code_string,
+            params: params_for_function,
+            external_apis: guest_apis,
+            functions: guest_functions,
+            timeout_ms: limits.timeout_ms,
+            memory_mb: limits.memory_mb,
+            on_console: (level, message) => {
+                trace.console.push({ time: new Date().toISOString(), level, message: truncateForTrace(message) });
+                this._emit_log({ level, message, function_name, run_id: trace.run_id, root_run_id: trace.root_run_id }, scoped_listener);
+                if (level === 'error') console.error(`[GuestCode ERROR: ${function_name}] ${message}`);
+                else if (level === 'warn') console.warn(`[GuestCode WARN: ${function_name}] ${message}`);
+                else if (this.is_debug) console.log('[DEBUG DynamicExecutorJS]', `[GuestCode Log: ${function_name}] ${message}`);
+            }
+        });
+
+        if (!outcome.ok) {
+            if (outcome.limit_exceeded) {
+                console.error(`Dynamic JS function '${function_name}' hit its ${outcome.limit_exceeded} limit (${sandbox_mode} sandbox): ${outcome.error_message}`);
+                return this._finish_trace(trace, 'limit_exceeded', JSON.stringify({
+                    error: `JS function '${function_name}' was stopped: ${outcome.error_message}`,
+                    limit_exceeded: outcome.limit_exceeded,
+                    limit: outcome.limit
+                }), { message: outcome.error_message, limit_exceeded: outcome.limit_exceeded, limit: outcome.limit });
+            }
+            console.error(`Error executing dynamic JS function '${function_name}': ${outcome.error_message}\nTraceback: ${outcome.stack}\nCode (first 500 chars):\n${code_string.substring(0,500)}`);
+            return this._finish_trace(trace, 'error',
+                `Error: Failed to execute dynamic JS function ${function_name}. Details: ${outcome.error_message}`,
+                { message: outcome.error_message, stack: outcome.stack });
+        }
+
+        if (outcome.unserializable) {
+            this.debug_log(`Error: Could not stringify non-string result from ${function_name}.`);
+            const message = `Dynamic function ${function_name} returned a complex object that could not be serialized. Original type: ${outcome.result_type}`;
+            return this._finish_trace(trace, 'error', `Error: ${message}`, { message });
+        }
+        if (outcome.result_type !== 'string') {
+            this.debug_log(`Warning: JS dynamic function ${function_name} returned non-string result of type ${outcome.result_type}. Stringified result:`, outcome.result);
+        }
+        if (func_def.returns_schema) {
+            const checked = checkReturnsSchema(function_name, outcome.result, func_def.returns_schema);
+            if (checked !== outcome.result) {
+                this.debug_log(`Return value validation failed for ${function_name}:`, JSON.parse(checked).validation_errors);
+                return this._finish_trace(trace, 'invalid_result', checked, { message: JSON.parse(checked).error });
+            }
+        }
+        return this._finish_trace(trace, isErrorResult(outcome.result) ? 'returned_error' : 'success', outcome.result);
+    }
+
+    _start_trace(function_name, func_def, params, sandbox_mode, execution_options) {
+        const run_id = newRunId();
+        return {
+            run_id,
+            parent_run_id: execution_options.parent_run_id || null,
+            root_run_id: execution_options.root_run_id || run_id,
+            kind: execution_options.trace_kind || 'execution',
+            function_name,
+            version: func_def.version !== undefined ? func_def.version : null,
+            sandbox_mode,
+            started_at: new Date().toISOString(),
+            started_ms: Date.now(),
+            params,
+            api_calls: [],
+            console: []
+        };
+    }
+
+    // Completes the record, hands it to every sink and passes `result` through. A failing sink
+    // is reported but never changes the result of the run.
+    _finish_trace(trace, outcome, result, error = null) {
+        const { started_ms, ...fields } = trace;
+        const record = {
+            ...fields,
+            ended_at: new Date().toISOString(),
+            duration_ms: Date.now() - started_ms,
+            outcome,
+            result: truncateForTrace(result),
+            error
+        };
+        for (const sink of this.trace_sinks) {
+            try {
+                Promise.resolve(sink.write(record)).catch(e => console.error(`Trace sink failed for run ${record.run_id}: ${e.message}`));
+            } catch (e) {
+                console.error(`Trace sink failed for run ${record.run_id}: ${e.message}`);
+            }
+        }
+        return result;
+    }
+
+    _trace_api_calls(trace, guest_apis) {
+        const traced = {};
+        for (const [api_name, apiFunction] of Object.entries(guest_apis)) {
+            traced[api_name] = async (args) => {
+                const started_ms = Date.now();
+                const call = { api_name, args, started_at: new Date(started_ms).toISOString() };
+                trace.api_calls.push(call);
+                try {
+                    const result = await apiFunction(args);
+                    call.latency_ms = Date.now() - started_ms;
+                    call.result = truncateForTrace(result);
+                    return result;
+                } catch (e) {
+                    call.latency_ms = Date.now() - started_ms;
+                    call.error = e && e.message ? e.message : String(e);
+                    throw e;
+                }
             };
+        }
+        return Object.freeze(traced);
+    }
 
-            const context = vm.createContext(sandbox);
+    _queryable_trace_sink() {
+        return this.trace_sinks.find(sink => typeof sink.query === 'function') || null;
+    }
 
-            const wrappedCode = `
-                (async () => {
-                    ${code_string}
-                    if (typeof ${function_name} !== 'function') {
-                        throw new Error('Generated code did not define a callable function named ${function_name}. Typeof: ' + typeof ${function_name});
-                    }
-                    return await ${function_name}(params);
-                })()
-            `;
+    // filter: { run_id, function_name, outcome, failed_only, kind, limit }; newest first.
+    async query_execution_traces_js(filter = {}) {
+        const sink = this._queryable_trace_sink();
+        if (!sink) return "Error: No queryable trace sink is configured.";
+        return sink.query(filter);
+    }
+
+    // Latest failed runs (any outcome other than 'success'), `limit` per function. With a
+    // function_name, a list for that function; otherwise an object keyed by function name.
+    async get_latest_failures_js({ function_name = null, limit = 1, kind = 'execution' } = {}) {
+        const sink = this._queryable_trace_sink();
+        if (!sink) return "Error: No queryable trace sink is configured.";
+        if (function_name) {
+            return sink.query({ function_name, failed_only: true, kind, limit });
+        }
+        const failures = {};
+        for (const record of await sink.query({ failed_only: true, kind })) {
+            const list = failures[record.function_name] || (failures[record.function_name] = []);
+            if (list.length < limit) list.push(record);
+        }
+        return failures;
+    }
+
+    // Run counts, failure rate and duration percentiles per function over the queryable sink.
+    async get_execution_metrics_js({ function_name = null, kind = 'execution' } = {}) {
+        const sink = this._queryable_trace_sink();
+        if (!sink) return "Error: No queryable trace sink is configured.";
+        const byFunction = new Map();
+        for (const record of await sink.query({ function_name, kind })) {
+            if (!byFunction.has(record.function_name)) byFunction.set(record.function_name, []);
+            byFunction.get(record.function_name).push(record);
+        }
+        const metrics = {};
+        for (const [name, records] of byFunction) {
+            const durations = records.map(r => r.duration_ms).sort((a, b) => a - b);
+            const percentile = (p) => durations[Math.min(durations.length - 1, Math.floor(p * durations.length))];
+            const outcomes = {};
+            for (const r of records) outcomes[r.outcome] = (outcomes[r.outcome] || 0) + 1;
+            const failures = records.length - (outcomes.success || 0);
+            metrics[name] = {
+                runs: records.length,
+                failures,
+                failure_rate: failures / records.length,
+                outcomes,
+                avg_duration_ms: durations.reduce((sum, d) => sum + d, 0) / durations.length,
+                p50_duration_ms: percentile(0.5),
+                p95_duration_ms: percentile(0.95),
+                api_calls: records.reduce((sum, r) => sum + r.api_calls.length, 0),
+                last_run_at: records[0].started_at
+            };
+        }
+        return metrics;
+    }
+
+    // The `functions` namespace for one call: the caller's recorded dependencies (or, for code
+    // that was never stored, the ones found in it), each looked up in the store only when called
+    // and run through _run_function_definition with its own validation and permissions against
+    // the caller's unwrapped external_apis. Re-entering a function on the call stack or exceeding
+    // max_call_depth makes the guest call throw.
+    _build_guest_functions(caller_name, caller_def, external_apis, nested_options) {
+        const call_stack = [...nested_options.call_stack, caller_name];
+        const dependencies = Array.isArray(caller_def.dependencies) ? caller_def.dependencies : extractFunctionDependencies(caller_def.code_string);
+        const guest_functions = {};
+        for (const callee_name of dependencies) {
+            guest_functions[callee_name] = async (params) => {
+                if (call_stack.includes(callee_name)) {
+                    throw new Error(`Call cycle detected: ${[...call_stack, callee_name].join(' -> ')}`);
+                }
+                if (call_stack.length >= this.max_call_depth) {
+                    throw new Error(`Maximum function call depth of ${this.max_call_depth} exceeded: ${[...call_stack, callee_name].join(' -> ')}`);
+                }
+                const callee_def = await this.get_function_definition_js(callee_name);
+                if (!callee_def || !callee_def.code_string) {
+                    throw new Error(`JS Function '${callee_name}' not found or has no code.`);
+                }
+                this.debug_log(`Nested call ${call_stack.join(' -> ')} -> ${callee_name}`);
+                return this._run_function_definition(callee_name, callee_def, params, external_apis, { ...nested_options, call_stack });
+            };
+        }
+        return guest_functions;
+    }
 
-            const script = new vm.Script(wrappedCode, {
-                filename: `dynamic_func_${function_name}.js`, 
-                timeout: 15000, 
-                breakOnSigint: true 
+    // Lets the LLM solve `task` with the stored functions as tools. Tool calls are dispatched to
+    // execute_dynamic_function (including create_dynamic_function, after which the tool list is
+    // refreshed) and their results fed back until the model answers without tool calls or the
+    // step budget runs out. One step is one LLM call.
+    // options: { max_steps, system_prompt, model, allow_function_creation (default true),
+    //            external_apis (override for every call), execution_options }
+    async run_agent(task, options = {}) {
+        const max_steps = options.max_steps || DEFAULT_AGENT_MAX_STEPS;
+        const model = options.model || this.llm_model;
+        const allow_function_creation = options.allow_function_creation !== false;
+        const external_apis = options.external_apis || null;
+        const messages = [
+            { role: 'system', content: options.system_prompt || DEFAULT_AGENT_SYSTEM_PROMPT },
+            { role: 'user', content: task }
+        ];
+        const tool_call_log = [];
+        const buildTools = async () => {
+            const tools = (await this.list_functions_js()).map(f => toChatTool({
+                name: f.name,
+                description: f.description,
+                parameters: f.parameters_schema
+            }));
+            if (allow_function_creation) tools.unshift(toChatTool(FUNCTION_CREATION_TOOL_DEFINITION_JS));
+            return tools;
+        };
+        const finish = (status, extra = {}) => ({
+            status,
+            task,
+            final_answer: null,
+            steps: tool_call_log.length > 0 ? tool_call_log[tool_call_log.length - 1].step : 0,
+            tool_calls: tool_call_log,
+            transcript: messages,
+            ...extra
+        });
+
+        let tools = await buildTools();
+        for (let step = 1; step <= max_steps; step++) {
+            let response;
+            try {
+                this.debug_log(`Agent step ${step}/${max_steps} with ${tools.length} tool(s).`);
+                response = await this.llm_provider.complete({ model, messages, temperature: 0.0, tools });
+            } catch (error) {
+                console.error(`Agent LLM call failed at step ${step}: ${error.message}`);
+                return finish('error', { steps: step, error: error.message });
+            }
+
+            messages.push({
+                role: 'assistant',
+                content: response.content,
+                ...(response.tool_calls.length > 0 ? {
+                    tool_calls: response.tool_calls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: call.arguments }
+                    }))
+                } : {})
             });
-            
-            const result = await script.runInContext(context);
+            if (response.tool_calls.length === 0) {
+                return finish('completed', { steps: step, final_answer: response.content });
+            }
 
-            if (typeof result !== 'string') {
-                this.debug_log(`Warning: JS dynamic function ${function_name} returned non-string result of type ${typeof result}. Attempting to stringify. Result:`, result);
-                try {
-                    return JSON.stringify(result); 
-                } catch (stringifyError) {
-                    this.debug_log(`Error: Could not stringify non-string result from ${function_name}. Error: ${stringifyError.message}`);
-                    return `Error: Dynamic function ${function_name} returned a complex object that could not be serialized. Original type: ${typeof result}`;
+            let created_function = false;
+            for (const call of response.tool_calls) {
+                const started = Date.now();
+                let result;
+                if (call.name === FUNCTION_CREATION_TOOL_DEFINITION_JS.name && !allow_function_creation) {
+                    result = "Error: Function creation is disabled for this agent run.";
+                } else {
+                    let args;
+                    try {
+                        args = call.arguments ? JSON.parse(call.arguments) : {};
+                    } catch (e) {
+                        args = null;
+                        result = `Error: Tool call arguments for '${call.name}' are not valid JSON: ${e.message}`;
+                    }
+                    if (args !== null) {
+                        result = await this.execute_dynamic_function(call.name, args, external_apis, options.execution_options || {});
+                        if (typeof result !== 'string') result = JSON.stringify(result);
+                    }
+                }
+                if (call.name === FUNCTION_CREATION_TOOL_DEFINITION_JS.name && result.startsWith('Successfully')) {
+                    created_function = true;
                 }
+                tool_call_log.push({ step, id: call.id, name: call.name, arguments: call.arguments, result, duration_ms: Date.now() - started });
+                messages.push({ role: 'tool', tool_call_id: call.id, content: result });
             }
-            return result; 
-        } catch (exec_error) {
-            console.error(`Error executing dynamic JS function '${function_name}': ${exec_error}\nTraceback: ${exec_error.stack}\nCode (first 500 chars):\n${code_string.substring(0,500)}`);
-            return `Error: Failed to execute dynamic JS function ${function_name}. Details: ${exec_error.message}`;
+            if (created_function) tools = await buildTools();
+        }
+        this.debug_log(`Agent stopped after exhausting its budget of ${max_steps} step(s).`);
+        return finish('step_budget_exhausted', { steps: max_steps });
+    }
+
+    // Runs every example against func_def with mocked external_apis. Tests get their own rate
+    // limiter so they neither consume nor are blocked by real call budgets.
+    async _run_function_tests(function_name, func_def, examples, mock_external_apis = {}) {
+        const rate_limiter = new ApiRateLimiterJS();
+        const cases = [];
+        for (const [index, example] of examples.entries()) {
+            const mocks = buildMockExternalApis({ ...mock_external_apis, ...(example.mock_external_apis || {}) });
+            const params = example.params || {};
+            const actual = await this._run_function_definition(function_name, func_def, params, mocks, { rate_limiter, trace_kind: 'test' });
+            const reason = typeof actual === 'string'
+                ? compareTestOutput(actual, example.expected_output, example.match)
+                : 'function did not return a string';
+            cases.push({
+                index,
+                description: example.description,
+                params,
+                expected_output: example.expected_output,
+                match: example.match || 'exact',
+                passed: reason === null,
+                actual,
+                reason
+            });
         }
+        return summarizeTestResults(cases);
+    }
+
+    // Re-runs the test suite stored with a function (current or pinned version).
+    async run_function_tests_js(function_name, version = null) {
+        const func_def = await this.get_function_definition_js(function_name, version);
+        if (!func_def) {
+            return `Error: JS Function '${function_name}'${version !== null ? ` version ${version}` : ''} not found.`;
+        }
+        if (!func_def.test_suite_json) {
+            return `Error: JS Function '${function_name}' has no stored test suite.`;
+        }
+        const { examples, mock_external_apis } = JSON.parse(func_def.test_suite_json);
+        return this._run_function_tests(function_name, func_def, examples, mock_external_apis || {});
+    }
+
+    // filters: { function_name, denied_only, limit }. Newest entries come last.
+    get_permission_audit_log_js(filters = {}) {
+        return this.permission_audit.list(filters);
     }
 }
 
 module.exports = {
  DynamicExecutorJS,
- FUNCTION_CREATION_TOOL_DEFINITION_JS 
+ FUNCTION_CREATION_TOOL_DEFINITION_JS,
+ InMemoryFunctionStoreJS,
+ FileFunctionStoreJS,
+ SQLiteFunctionStoreJS,
+ OpenAICompatibleProviderJS,
+ MockLLMProviderJS,
+ CachingLLMProviderJS,
+ InMemoryTraceSinkJS,
+ JsonlTraceSinkJS,
+ OTelSpanTraceSinkJS
 };
 
@@ -0,0 +1,138 @@
+// FILE: dynamicExecutor_js_v1.test.js v1
+// Run with `node --test` (needs dotenv, uuid, acorn and acorn-walk).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DynamicExecutorJS, InMemoryFunctionStoreJS, MockLLMProviderJS } = require('./dynamicExecutor_js_v1');
+
+async function createExecutor(options = {}) {
+    const executor = new DynamicExecutorJS({
+        function_store: new InMemoryFunctionStoreJS(),
+        sandbox_limits: { timeout_ms: 1000 },
+        ...options
+    });
+    executor.is_debug = false;
+    await executor.initialize_store_js(() => 'No host APIs.', () => options.external_apis || {});
+    return executor;
+}
+
+const OBJECT_SCHEMA = { type: 'object', properties: {} };
+
+test('create_dynamic_function: rule violations get their own repair prompt', async () => {
+    const llm_provider = new MockLLMProviderJS({
+        responses: [
+            'async function shout(params) { return String(process.env.HOME); }',
+            'async function shout(params) { return "HEY"; }'
+        ]
+    });
+    const executor = await createExecutor({ llm_provider });
+    const result = await executor.create_dynamic_function('shout', 'Shouts.', OBJECT_SCHEMA, 'No host APIs.');
+    assert.match(result, /^Successfully created/);
+
+    const repair_prompt = llm_provider.requests[1].messages[0].content;
+    assert.match(repair_prompt, /safety checks rejected/);
+    assert.match(repair_prompt, /\[forbidden_global\]/);
+    assert.doesNotMatch(repair_prompt, /syntax error repair/);
+    assert.equal(await executor.execute_dynamic_function('shout', {}), 'HEY');
+});
+
+test('create_dynamic_function: syntax errors keep the syntax repair prompt', async () => {
+    const llm_provider = new MockLLMProviderJS({
+        responses: [
+            'async function shout(params) { return "HEY" ',
+            'async function shout(params) { return "HEY"; }'
+        ]
+    });
+    const executor = await createExecutor({ llm_provider });
+    assert.match(await executor.create_dynamic_function('shout', 'Shouts.', OBJECT_SCHEMA, 'No host APIs.'), /^Successfully created/);
+    assert.match(llm_provider.requests[1].messages[0].content, /syntax error repair/);
+});
+
+test('functions namespace: only the caller\'s dependencies, resolved when called', async (t) => {
+    const executor = await createExecutor();
+    const store = async (name, code_string) => assert.match(await executor.store_predefined_function_js({
+        name, description: name, parameters_schema_json: JSON.stringify(OBJECT_SCHEMA), code_string
+    }), /^Successfully/);
+    await store('double', 'async function double(params) { return String(params.n * 2); }');
+    await store('unrelated', 'async function unrelated(params) { return "no"; }');
+    await store('quadruple', 'async function quadruple(params) { const twice = await functions.double({ n: params.n }); return JSON.stringify({ names: Object.keys(functions), value: await functions.double({ n: Number(twice) }) }); }');
+
+    const list = t.mock.method(executor.function_store, 'list');
+    assert.deepEqual(JSON.parse(await executor.execute_dynamic_function('quadruple', { n: 3 })), { names: ['double'], value: '12' });
+    assert.equal(list.mock.callCount(), 0);
+
+    await store('double', 'async function double(params) { return String(params.n * 3); }');
+    assert.equal(JSON.parse(await executor.execute_dynamic_function('quadruple', { n: 1 })).value, '9');
+});
+
+test('execute_dynamic_function: params and results are checked against their schemas', async () => {
+    const executor = await createExecutor();
+    assert.match(await executor.store_predefined_function_js({
+        name: 'area',
+        description: 'Area of a rectangle.',
+        parameters_schema_json: JSON.stringify({ type: 'object', properties: { w: { type: 'number' }, h: { type: 'number' }, mode: { type: 'string' } }, required: ['w', 'h'] }),
+        returns_schema_json: JSON.stringify({ type: 'object', properties: { area: { type: 'number', minimum: 0 } }, required: ['area'] }),
+        code_string: `async function area(params) {
+    if (params.mode === 'text') return 'area ' + params.w * params.h;
+    if (params.mode === 'fail') return JSON.stringify({ error: 'refused' });
+    return JSON.stringify({ area: params.w * params.h });
+}`
+    }), /^Successfully/);
+
+    assert.equal(await executor.execute_dynamic_function('area', { w: 2, h: 3 }), '{"area":6}');
+
+    const invalid_params = JSON.parse(await executor.execute_dynamic_function('area', { w: '2' }));
+    assert.match(invalid_params.error, /Parameter validation failed/);
+    assert.deepEqual(invalid_params.validation_errors.map(e => e.path), ['$.h', '$.w']);
+
+    assert.match(JSON.parse(await executor.execute_dynamic_function('area', { w: -2, h: 3 })).error, /does not match its returns_schema/);
+    assert.match(JSON.parse(await executor.execute_dynamic_function('area', { w: 2, h: 3, mode: 'text' })).error, /non-JSON string/);
+    assert.equal(await executor.execute_dynamic_function('area', { w: 2, h: 3, mode: 'fail' }), '{"error":"refused"}');
+    assert.deepEqual((await executor.query_execution_traces_js({ function_name: 'area' })).map(t => t.outcome).reverse(),
+        ['success', 'invalid_params', 'invalid_result', 'invalid_result', 'returned_error']);
+});
+
+test('run_agent: creates a function, calls it through the refreshed tool list and answers', async () => {
+    const llm_provider = new MockLLMProviderJS({
+        responses: [
+            { tool_calls: [{ id: 'c1', name: 'create_dynamic_function', arguments: { new_function_name: 'add', new_function_description: 'Adds a and b.', new_function_parameters_schema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] } } }] },
+            'async function add(params) { return String(params.a + params.b); }',
+            { tool_calls: [{ id: 'c2', name: 'add', arguments: '{"a":2,"b":3}' }] },
+            'The sum is 5.'
+        ]
+    });
+    const executor = await createExecutor({ llm_provider });
+    const run = await executor.run_agent('What is 2 + 3?');
+
+    assert.equal(run.status, 'completed');
+    assert.equal(run.final_answer, 'The sum is 5.');
+    assert.equal(run.steps, 3);
+    assert.deepEqual(run.tool_calls.map(call => [call.step, call.name]), [[1, 'create_dynamic_function'], [2, 'add']]);
+    assert.match(run.tool_calls[0].result, /^Successfully created/);
+    assert.equal(run.tool_calls[1].result, '5');
+    const tool_names = (request) => request.tools.map(tool => tool.function.name);
+    assert.deepEqual(tool_names(llm_provider.requests[0]), ['create_dynamic_function']);
+    assert.deepEqual(tool_names(llm_provider.requests[2]), ['create_dynamic_function', 'add']);
+    assert.deepEqual(llm_provider.requests[3].messages.slice(-1), [{ role: 'tool', tool_call_id: 'c2', content: '5' }]);
+});
+
+test('run_agent: bad arguments, disabled creation, step budget and provider errors', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const call = (name, args) => ({ tool_calls: [{ name, arguments: args }] });
+    const llm_provider = new MockLLMProviderJS({
+        responses: [call('create_dynamic_function', '{}'), call('missing', '{not json')]
+    });
+    const executor = await createExecutor({ llm_provider });
+    const budget = await executor.run_agent('Loop.', { max_steps: 2, allow_function_creation: false });
+    assert.equal(budget.status, 'step_budget_exhausted');
+    assert.equal(budget.steps, 2);
+    assert.deepEqual(budget.tool_calls.map(c => c.result.slice(0, 40)), [
+        'Error: Function creation is disabled for',
+        "Error: Tool call arguments for 'missing'"
+    ]);
+    assert.deepEqual(llm_provider.requests[0].tools, []);
+
+    const failed = await executor.run_agent('Fail.');
+    assert.equal(failed.status, 'error');
+    assert.match(failed.error, /no scripted response left/);
+});
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+// FILE: dynexec_js_v1.js v1
+// `dynexec` command-line front-end for DynamicExecutorJS, working against a local store.
+//
+//   dynexec ls
+//   dynexec get <name> [--version N]
+//   dynexec create <name> --description TEXT (--schema FILE | --schema-json JSON)
+//                  [--returns-schema FILE] [--examples FILE] [--mock-apis FILE] [--host-api-description TEXT]
+//   dynexec store <funcData.json>
+//   dynexec run <name> [--params FILE | --params-json JSON] [--version N] [--sandbox vm|worker] [--timeout MS]
+//   dynexec clear --yes
+//   dynexec serve [--port 8787] [--host 127.0.0.1] [--token TOKEN]    (token also from DYNEXEC_AUTH_TOKEN)
+//   dynexec mcp                                                       (JSON-RPC over stdio)
+//
+// Global options: --store DIR (file store, default ./generated_functions_js), --sqlite FILE,
+// --host-apis MODULE (exports { description, apis }), --debug.
+
+const fs = require('fs');
+const path = require('path');
+const { DynamicExecutorJS, FileFunctionStoreJS, SQLiteFunctionStoreJS } = require('./dynamicExecutor_js_v1');
+const { OPERATIONS, isErrorResult, createExecutorHttpServer, runJsonRpcStdioServer } = require('./executorServer_js_v1');
+
+const USAGE = fs.readFileSync(__filename, 'utf-8').split('\n')
+    .filter(line => line.startsWith('//   dynexec') || line.startsWith('//                  '))
+    .map(line => line.slice(3)).join('\n');
+
+const BOOLEAN_FLAGS = new Set(['debug', 'yes', 'help']);
+
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (BOOLEAN_FLAGS.has(key)) {
+            flags[key] = true;
+        } else if (inlineValue !== undefined) {
+            flags[key] = inlineValue;
+        } else if (i + 1 < argv.length) {
+            flags[key] = argv[++i];
+        } else {
+            throw new Error(`Option --${key} needs a value.`);
+        }
+    }
+    return { command: positional[0], args: positional.slice(1), flags };
+}
+
+function readJsonFile(file, label) {
+    try {
+        return JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+    } catch (e) {
+        throw new Error(`Could not read ${label} from ${file}: ${e.message}`);
+    }
+}
+
+function jsonOption(flags, fileKey, jsonKey, label) {
+    if (flags[fileKey] !== undefined) return readJsonFile(flags[fileKey], label);
+    if (jsonKey && flags[jsonKey] !== undefined) {
+        try {
+            return JSON.parse(flags[jsonKey]);
+        } catch (e) {
+            throw new Error(`--${jsonKey} is not valid JSON: ${e.message}`);
+        }
+    }
+    return undefined;
+}
+
+function requireArg(value, usage) {
+    if (!value) throw new Error(`Usage: dynexec ${usage}`);
+    return value;
+}
+
+// In mcp mode stdout carries the protocol, so debug output stays off.
+async function createExecutor(command, flags) {
+    const function_store = flags.sqlite
+        ? new SQLiteFunctionStoreJS(path.resolve(flags.sqlite))
+        : (flags.store ? new FileFunctionStoreJS(path.resolve(flags.store)) : undefined);
+    const executor = new DynamicExecutorJS({ function_store });
+    executor.is_debug = flags.debug === true && command !== 'mcp';
+    let host = { description: 'No host APIs provided.', apis: {} };
+    if (flags['host-apis']) {
+        host = { ...host, ...require(path.resolve(flags['host-apis'])) };
+    }
+    await executor.initialize_store_js(() => host.description, () => host.apis);
+    return executor;
+}
+
+function printResult(result) {
+    if (typeof result === 'string') {
+        console.log(result);
+    } else {
+        console.log(JSON.stringify(result, null, 2));
+    }
+    if (isErrorResult(result)) process.exitCode = 1;
+}
+
+const COMMANDS = {
+    ls: async (executor) => {
+        const functions = await OPERATIONS.list(executor);
+        if (functions.length === 0) return console.log('No stored functions.');
+        for (const f of functions) console.log(`${f.name}\t${f.description}`);
+    },
+    get: async (executor, args, flags) => {
+        const name = requireArg(args[0], 'get <name> [--version N]');
+        const definition = await OPERATIONS.get(executor, { name, version: flags.version });
+        if (!definition) {
+            console.error(`Error: JS Function '${name}' not found.`);
+            process.exitCode = 1;
+            return;
+        }
+        printResult(definition);
+    },
+    create: async (executor, args, flags) => {
+        const name = requireArg(args[0], 'create <name> --description TEXT --schema FILE');
+        printResult(await OPERATIONS.create(executor, {
+            name,
+            description: requireArg(flags.description, 'create <name> --description TEXT --schema FILE'),
+            parameters_schema: jsonOption(flags, 'schema', 'schema-json', 'parameters schema') || { type: 'object', properties: {} },
+            returns_schema: jsonOption(flags, 'returns-schema', null, 'returns schema'),
+            examples: jsonOption(flags, 'examples', null, 'examples'),
+            mock_external_apis: jsonOption(flags, 'mock-apis', null, 'mock external_apis'),
+            host_api_description: flags['host-api-description']
+        }));
+    },
+    store: async (executor, args) => {
+        const file = requireArg(args[0], 'store <funcData.json>');
+        printResult(await OPERATIONS.store_predefined(executor, readJsonFile(file, 'function data')));
+    },
+    run: async (executor, args, flags) => {
+        const name = requireArg(args[0], 'run <name> [--params FILE]');
+        printResult(await OPERATIONS.execute(executor, {
+            name,
+            params: jsonOption(flags, 'params', 'params-json', 'params') || {},
+            version: flags.version,
+            sandbox_mode: flags.sandbox,
+            limits: flags.timeout ? { timeout_ms: Number(flags.timeout) } : undefined
+        }));
+    },
+    clear: async (executor, args, flags) => {
+        if (!flags.yes) throw new Error('Refusing to clear the function store without --yes.');
+        printResult(await OPERATIONS.clear(executor));
+    },
+    serve: async (executor, args, flags) => {
+        const port = Number(flags.port || 8787);
+        const host = flags.host || '127.0.0.1';
+        const auth_token = flags.token || process.env.DYNEXEC_AUTH_TOKEN || null;
+        const server = createExecutorHttpServer(executor, { auth_token });
+        await new Promise(resolve => server.listen(port, host, resolve));
+        console.error(`dynexec listening on http://${host}:${server.address().port}${auth_token ? ' (auth token required)' : ''}`);
+        await new Promise(resolve => {
+            const stop = () => server.close(resolve);
+            process.once('SIGINT', stop);
+            process.once('SIGTERM', stop);
+        });
+    },
+    mcp: async (executor) => {
+        await runJsonRpcStdioServer(executor);
+    }
+};
+
+async function main(argv) {
+    const { command, args, flags } = parseArgs(argv);
+    if (!command || flags.help || !COMMANDS[command]) {
+        console.error(`Usage:\n${USAGE}`);
+        process.exitCode = command && !flags.help ? 1 : 0;
+        return;
+    }
+    const executor = await createExecutor(command, flags);
+    try {
+        await COMMANDS[command](executor, args, flags);
+    } finally {
+        if (typeof executor.function_store.close === 'function') executor.function_store.close();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { main, parseArgs };
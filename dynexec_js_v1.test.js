@@ -0,0 +1,71 @@
+// FILE: dynexec_js_v1.test.js v1
+// Run with `node --test`. Runs the CLI as a child process against a temporary file store.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseArgs } = require('./dynexec_js_v1');
+
+const CLI = path.join(__dirname, 'dynexec_js_v1.js');
+
+function createWorkspace(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dynexec-cli-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const dynexec = (args, input) => spawnSync(process.execPath, [CLI, ...args, '--store', 'functions'], {
+        cwd: directory, input, encoding: 'utf-8', timeout: 30000
+    });
+    fs.writeFileSync(path.join(directory, 'greet.json'), JSON.stringify({
+        name: 'greet',
+        description: 'Greets someone.',
+        parameters_schema_json: JSON.stringify({ type: 'object', properties: { who: { type: 'string' } }, required: ['who'] }),
+        code_string: 'async function greet(params) { return "hi " + params.who; }'
+    }));
+    return { directory, dynexec };
+}
+
+test('parseArgs: positionals, valued and boolean flags', () => {
+    assert.deepEqual(parseArgs(['run', 'f', '--params-json={"a":1}', '--timeout', '50', '--debug']), {
+        command: 'run', args: ['f'], flags: { 'params-json': '{"a":1}', timeout: '50', debug: true }
+    });
+    assert.throws(() => parseArgs(['run', '--timeout']), /needs a value/);
+});
+
+test('store, ls, get and run against a file store', (t) => {
+    const { directory, dynexec } = createWorkspace(t);
+    assert.match(dynexec(['store', 'greet.json']).stdout, /^Successfully stored/);
+    assert.ok(fs.existsSync(path.join(directory, 'functions', 'greet.json')));
+    assert.equal(dynexec(['ls']).stdout, 'greet\tGreets someone.\n');
+    assert.equal(JSON.parse(dynexec(['get', 'greet']).stdout).current_version, 1);
+
+    const run = dynexec(['run', 'greet', '--params-json', '{"who":"Ada"}']);
+    assert.equal(run.stdout, 'hi Ada\n');
+    assert.equal(run.status, 0);
+
+    const invalid = dynexec(['run', 'greet', '--params-json', '{}']);
+    assert.match(invalid.stdout, /Parameter validation failed/);
+    assert.equal(invalid.status, 1);
+    assert.equal(dynexec(['get', 'missing']).status, 1);
+
+    const clear = dynexec(['clear']);
+    assert.match(clear.stderr, /without --yes/);
+    assert.equal(clear.status, 1);
+    assert.equal(dynexec(['nope']).status, 1);
+    assert.equal(dynexec(['--help']).status, 0);
+});
+
+test('mcp: stdout carries nothing but JSON-RPC messages', (t) => {
+    const { dynexec } = createWorkspace(t);
+    dynexec(['store', 'greet.json']);
+    const requests = [
+        { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} },
+        { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'greet', arguments: { who: 'Ada' } } }
+    ];
+    const mcp = dynexec(['mcp', '--debug'], requests.map(r => JSON.stringify(r)).join('\n') + '\n');
+    const lines = mcp.stdout.trim().split('\n');
+    const messages = lines.map(line => JSON.parse(line));
+    assert.deepEqual(messages.map(m => m.id), [1, 2]);
+    assert.equal(messages[1].result.content[0].text, 'hi Ada');
+});
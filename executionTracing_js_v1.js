@@ -0,0 +1,227 @@
+// FILE: executionTracing_js_v1.js v1
+// Structured execution records for dynamic function runs, and the sinks they are written to.
+//
+// One record per run (nested `functions.*` calls get their own record with parent_run_id):
+//   {
+//     run_id, parent_run_id, root_run_id, kind: 'execution' | 'test', function_name, version, sandbox_mode,
+//     started_at, ended_at, duration_ms, params,
+//     api_calls: [{ api_name, args, started_at, latency_ms, result | error }],   (latency_ms is missing for calls still running when the run ended)
+//     console: [{ time, level, message }],
+//     outcome: 'success' | 'returned_error' | 'invalid_params' | 'error' | 'limit_exceeded' | 'invalid_result',
+//     result, error: { message, stack, limit_exceeded, limit }
+//   }
+// Long strings in results are truncated to MAX_TRACED_STRING characters.
+//
+// A sink is any object with write(record). Sinks that also implement query(filter) can serve
+// DynamicExecutorJS.query_execution_traces_js(); query returns matching records newest first.
+//   filter: { run_id, function_name, outcome, failed_only, kind, limit }
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_TRACED_STRING = 4000;
+
+function newRunId() {
+    return crypto.randomUUID();
+}
+
+// True for the executor's error conventions: "Error: ..." strings and JSON `{ error }` strings.
+function isErrorResult(result) {
+    if (typeof result !== 'string') return false;
+    if (result.startsWith('Error')) return true;
+    try {
+        const parsed = JSON.parse(result);
+        return Boolean(parsed && typeof parsed === 'object' && parsed.error);
+    } catch (e) {
+        return false;
+    }
+}
+
+function truncateForTrace(value) {
+    if (typeof value === 'string' && value.length > MAX_TRACED_STRING) {
+        return `${value.slice(0, MAX_TRACED_STRING)}... [${value.length - MAX_TRACED_STRING} more characters]`;
+    }
+    return value;
+}
+
+function matchesTraceFilter(record, filter) {
+    if (filter.run_id && record.run_id !== filter.run_id) return false;
+    if (filter.function_name && record.function_name !== filter.function_name) return false;
+    if (filter.outcome && record.outcome !== filter.outcome) return false;
+    if (filter.failed_only && record.outcome === 'success') return false;
+    if (filter.kind && record.kind !== filter.kind) return false;
+    return true;
+}
+
+function queryRecords(records, filter = {}) {
+    const matches = [];
+    for (let i = records.length - 1; i >= 0; i--) {
+        if (!matchesTraceFilter(records[i], filter)) continue;
+        matches.push(records[i]);
+        if (filter.limit && matches.length >= filter.limit) break;
+    }
+    return matches;
+}
+
+class InMemoryTraceSinkJS {
+    constructor(options = {}) {
+        this.max_records = options.max_records || 1000;
+        this.records = [];
+    }
+
+    write(record) {
+        this.records.push(record);
+        if (this.records.length > this.max_records) {
+            this.records.splice(0, this.records.length - this.max_records);
+        }
+    }
+
+    query(filter = {}) {
+        return queryRecords(this.records, filter);
+    }
+
+    describe() {
+        return `in-memory trace sink (${this.records.length}/${this.max_records} records)`;
+    }
+}
+
+// Appends one JSON line per record. query() re-reads the file, so keep it to modest sizes.
+class JsonlTraceSinkJS {
+    constructor(file) {
+        if (!file) throw new Error('JsonlTraceSinkJS requires a file path.');
+        this.file = file;
+        this.ensured = false;
+    }
+
+    write(record) {
+        if (!this.ensured) {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            this.ensured = true;
+        }
+        fs.appendFileSync(this.file, `${JSON.stringify(record)}\n`);
+    }
+
+    query(filter = {}) {
+        let text;
+        try {
+            text = fs.readFileSync(this.file, 'utf-8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+        const records = [];
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch (e) {
+                // A partially written last line is skipped.
+            }
+        }
+        return queryRecords(records, filter);
+    }
+
+    describe() {
+        return `JSONL trace sink (${this.file})`;
+    }
+}
+
+// Span and trace ids derive from run ids, so nested runs (whose records are written before
+// their caller's) can point at a parent span that has not been exported yet.
+function idFromRunId(run_id, hexLength) {
+    return crypto.createHash('sha256').update(run_id).digest('hex').slice(0, hexLength);
+}
+
+function toUnixNano(isoTime) {
+    return (BigInt(Date.parse(isoTime)) * 1000000n).toString();
+}
+
+function otelAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ({
+            key,
+            value: typeof value === 'number'
+                ? (Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value })
+                : (typeof value === 'boolean' ? { boolValue: value } : { stringValue: String(value) })
+        }));
+}
+
+// Converts records to OpenTelemetry spans in OTLP/JSON shape: one span per run, a child span
+// per external_apis call, console output as span events. Nested runs become child spans of
+// their caller's run in the same trace. Spans are handed to options.export(spans), e.g. an OTLP/HTTP poster.
+class OTelSpanTraceSinkJS {
+    constructor(options = {}) {
+        if (typeof options.export !== 'function') throw new Error('OTelSpanTraceSinkJS requires an export(spans) function.');
+        this.export = options.export;
+        this.service_name = options.service_name || 'dynamic-executor-js';
+    }
+
+    write(record) {
+        const traceId = idFromRunId(record.root_run_id || record.run_id, 32);
+        const spanId = idFromRunId(record.run_id, 16);
+
+        const failed = record.outcome !== 'success';
+        const spans = [{
+            traceId,
+            spanId,
+            parentSpanId: record.parent_run_id ? idFromRunId(record.parent_run_id, 16) : undefined,
+            name: `dynamic_function ${record.function_name}`,
+            kind: 1,
+            startTimeUnixNano: toUnixNano(record.started_at),
+            endTimeUnixNano: toUnixNano(record.ended_at),
+            attributes: otelAttributes({
+                'service.name': this.service_name,
+                'dynamic_function.run_id': record.run_id,
+                'dynamic_function.name': record.function_name,
+                'dynamic_function.version': record.version,
+                'dynamic_function.kind': record.kind,
+                'dynamic_function.sandbox_mode': record.sandbox_mode,
+                'dynamic_function.outcome': record.outcome,
+                'dynamic_function.params': JSON.stringify(record.params)
+            }),
+            events: record.console.map(entry => ({
+                timeUnixNano: toUnixNano(entry.time),
+                name: `console.${entry.level}`,
+                attributes: otelAttributes({ message: entry.message })
+            })),
+            status: failed ? { code: 2, message: record.error ? record.error.message : record.outcome } : { code: 1 }
+        }];
+        record.api_calls.forEach((call, index) => {
+            // A call the guest never awaited has no latency yet; its span ends with the run.
+            const unfinished = call.latency_ms === undefined;
+            const ended_at = unfinished ? record.ended_at : new Date(Date.parse(call.started_at) + call.latency_ms).toISOString();
+            spans.push({
+                traceId,
+                spanId: idFromRunId(`${record.run_id}:${index}`, 16),
+                parentSpanId: spanId,
+                name: `external_apis.${call.api_name}`,
+                kind: 3,
+                startTimeUnixNano: toUnixNano(call.started_at),
+                endTimeUnixNano: toUnixNano(ended_at),
+                attributes: otelAttributes({
+                    'external_api.name': call.api_name,
+                    'external_api.args': JSON.stringify(call.args),
+                    'external_api.unfinished': unfinished || undefined
+                }),
+                events: [],
+                status: call.error ? { code: 2, message: call.error } : (unfinished ? { code: 0 } : { code: 1 })
+            });
+        });
+        return this.export(spans);
+    }
+
+    describe() {
+        return `OpenTelemetry span sink (${this.service_name})`;
+    }
+}
+
+module.exports = {
+    InMemoryTraceSinkJS,
+    JsonlTraceSinkJS,
+    OTelSpanTraceSinkJS,
+    truncateForTrace,
+    isErrorResult,
+    newRunId
+};
@@ -0,0 +1,115 @@
+// FILE: executionTracing_js_v1.test.js v1
+// Run with `node --test` (needs dotenv, uuid, acorn and acorn-walk).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InMemoryTraceSinkJS, JsonlTraceSinkJS, OTelSpanTraceSinkJS, truncateForTrace, isErrorResult } = require('./executionTracing_js_v1');
+const { DynamicExecutorJS, InMemoryFunctionStoreJS } = require('./dynamicExecutor_js_v1');
+
+const record = (fields) => ({
+    run_id: 'r', parent_run_id: null, root_run_id: 'r', kind: 'execution', function_name: 'f', version: 1, sandbox_mode: 'worker',
+    started_at: '2026-01-01T00:00:00.000Z', ended_at: '2026-01-01T00:00:00.050Z', duration_ms: 50, params: {},
+    api_calls: [], console: [], outcome: 'success', result: 'ok', error: null, ...fields
+});
+
+test('isErrorResult and truncateForTrace', () => {
+    assert.equal(isErrorResult('Error: nope'), true);
+    assert.equal(isErrorResult('{"error":"nope"}'), true);
+    assert.equal(isErrorResult('{"error":null}'), false);
+    assert.equal(isErrorResult('fine'), false);
+    assert.equal(isErrorResult(null), false);
+    assert.equal(truncateForTrace('short'), 'short');
+    assert.match(truncateForTrace('x'.repeat(4010)), /\.\.\. \[10 more characters\]$/);
+});
+
+test('InMemoryTraceSinkJS: newest first, filters and a bounded buffer', () => {
+    const sink = new InMemoryTraceSinkJS({ max_records: 3 });
+    ['a', 'b', 'a', 'b'].forEach((function_name, i) => sink.write(record({ run_id: `r${i}`, function_name, outcome: i === 2 ? 'error' : 'success' })));
+    assert.deepEqual(sink.query().map(r => r.run_id), ['r3', 'r2', 'r1']);
+    assert.deepEqual(sink.query({ function_name: 'a' }).map(r => r.run_id), ['r2']);
+    assert.deepEqual(sink.query({ failed_only: true }).map(r => r.run_id), ['r2']);
+    assert.deepEqual(sink.query({ limit: 1 }).map(r => r.run_id), ['r3']);
+    assert.deepEqual(sink.query({ kind: 'test' }), []);
+});
+
+test('JsonlTraceSinkJS: appends lines and skips a torn last line', (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dynexec-traces-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'nested', 'traces.jsonl');
+    const sink = new JsonlTraceSinkJS(file);
+    assert.deepEqual(sink.query(), []);
+    sink.write(record({ run_id: 'r1' }));
+    sink.write(record({ run_id: 'r2', outcome: 'error' }));
+    fs.appendFileSync(file, '{"run_id":"r3",');
+    assert.deepEqual(sink.query().map(r => r.run_id), ['r2', 'r1']);
+    assert.deepEqual(sink.query({ outcome: 'error' }).map(r => r.run_id), ['r2']);
+    assert.throws(() => new JsonlTraceSinkJS(), /requires a file path/);
+});
+
+test('OTelSpanTraceSinkJS: run, api call and console spans', () => {
+    const exported = [];
+    const sink = new OTelSpanTraceSinkJS({ export: (spans) => exported.push(...spans) });
+    sink.write(record({
+        run_id: 'child', parent_run_id: 'parent', root_run_id: 'parent', outcome: 'error', error: { message: 'boom' },
+        console: [{ time: '2026-01-01T00:00:00.010Z', level: 'log', message: 'hello' }],
+        api_calls: [
+            { api_name: 'done', args: { a: 1 }, started_at: '2026-01-01T00:00:00.020Z', latency_ms: 5, result: 'x' },
+            { api_name: 'pending', args: null, started_at: '2026-01-01T00:00:00.030Z' }
+        ]
+    }));
+    sink.write(record({ run_id: 'parent', root_run_id: 'parent' }));
+    const [child, done, pending, parent] = exported;
+    assert.equal(child.traceId, parent.traceId);
+    assert.equal(child.parentSpanId, parent.spanId);
+    assert.equal(parent.parentSpanId, undefined);
+    assert.deepEqual(child.status, { code: 2, message: 'boom' });
+    assert.deepEqual(child.events.map(e => e.name), ['console.log']);
+    assert.equal(done.parentSpanId, child.spanId);
+    assert.equal(done.endTimeUnixNano, '1767225600025000000');
+    assert.deepEqual(pending.status, { code: 0 });
+    assert.equal(pending.endTimeUnixNano, child.endTimeUnixNano);
+    assert.throws(() => new OTelSpanTraceSinkJS(), /export/);
+});
+
+test('executor: every sink gets nested runs, api calls and console output; a failing sink is only reported', async (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const memory = new InMemoryTraceSinkJS();
+    const spans = [];
+    const executor = new DynamicExecutorJS({
+        function_store: new InMemoryFunctionStoreJS(),
+        sandbox_limits: { timeout_ms: 1000 },
+        trace_sinks: [
+            memory,
+            new OTelSpanTraceSinkJS({ export: async (exported) => spans.push(...exported) }),
+            { write: () => { throw new Error('disk full'); } }
+        ]
+    });
+    executor.is_debug = false;
+    await executor.initialize_store_js(() => '', () => ({ lookup: async (args) => `value of ${args.key}` }));
+    const store = (name, body) => executor.store_predefined_function_js({
+        name, description: name, parameters_schema_json: '{"type":"object"}', code_string: `async function ${name}(params) { ${body} }`
+    });
+    await store('inner', 'console.log("inner ran"); return await external_apis.lookup({ key: params.key });');
+    await store('outer', 'return "outer: " + await functions.inner({ key: "k" });');
+
+    assert.equal(await executor.execute_dynamic_function('outer', {}), 'outer: value of k');
+    const [outer, inner] = [memory.query({ function_name: 'outer' })[0], memory.query({ function_name: 'inner' })[0]];
+    assert.equal(inner.parent_run_id, outer.run_id);
+    assert.equal(inner.root_run_id, outer.run_id);
+    assert.deepEqual(inner.api_calls.map(c => [c.api_name, c.args, c.result]), [['lookup', { key: 'k' }, 'value of k']]);
+    assert.deepEqual(inner.console.map(c => c.message), ['inner ran']);
+    assert.deepEqual([outer.outcome, outer.version, outer.sandbox_mode], ['success', 1, 'worker']);
+    assert.equal(spans.filter(span => span.name.startsWith('dynamic_function')).length, 2);
+    assert.equal(errors.mock.calls.filter(call => /Trace sink failed/.test(call.arguments[0])).length, 2);
+
+    await store('broken', 'throw new Error("broken");');
+    await executor.execute_dynamic_function('broken', {});
+    await executor.execute_dynamic_function('inner', { key: 'y' });
+    const metrics = await executor.get_execution_metrics_js();
+    assert.deepEqual([metrics.inner.runs, metrics.inner.failures, metrics.broken.failure_rate], [2, 0, 1]);
+    assert.deepEqual(Object.keys(await executor.get_latest_failures_js()), ['broken']);
+    assert.equal((await executor.query_execution_traces_js({ outcome: 'error' }))[0].error.message, 'broken');
+});
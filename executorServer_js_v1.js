@@ -0,0 +1,303 @@
+// FILE: executorServer_js_v1.js v1
+// Network and stdio front-ends for DynamicExecutorJS.
+//
+//   createExecutorHttpServer(executor, { auth_token })  - JSON over HTTP:
+//     GET    /functions                      list
+//     POST   /functions                      create (LLM)        body: create params, see OPERATIONS.create
+//     POST   /functions/predefined           store predefined    body: funcData
+//     GET    /functions/:name?version=N      get
+//     POST   /functions/:name/execute        execute             body: { params, version, limits }
+//     DELETE /functions                      clear
+//     GET    /logs?run_id=ID                 executor logs as server-sent events; with run_id only the
+//                                            guest output of that run and the runs it started
+//   With `"stream": true` in a create or execute body the response is NDJSON: one
+//   { type: 'log', ... } line per log entry of that call while it runs, then { type: 'result', ... }.
+//   With an auth_token every request needs `Authorization: Bearer <token>` (or `?token=` for /logs).
+//   Network callers always get the executor's own sandbox_mode, and their `limits` can only lower
+//   the executor's sandbox_limits (see networkParams).
+//
+//   runJsonRpcStdioServer(executor, { input, output }) - MCP-style JSON-RPC 2.0, one message per
+//     line. Speaks initialize / tools/list / tools/call / logging/setLevel, plus functions/create,
+//     functions/store_predefined, functions/get, functions/list, functions/execute and
+//     functions/clear. Logs are sent as notifications/message. Nothing else may write to stdout.
+
+const http = require('http');
+const crypto = require('crypto');
+const readline = require('readline');
+const { FUNCTION_CREATION_TOOL_DEFINITION_JS } = require('./dynamicExecutor_js_v1');
+const { isErrorResult } = require('./executionTracing_js_v1');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const JSON_RPC_ERRORS = { parse: -32700, invalid_request: -32600, method_not_found: -32601, invalid_params: -32602, internal: -32603 };
+const MCP_PROTOCOL_VERSION = '2024-11-05';
+const LOG_LEVEL_ORDER = ['debug', 'info', 'warning', 'error'];
+
+// The operations shared by every front-end. Each takes one params object.
+const OPERATIONS = {
+    create: (executor, p) => executor.create_dynamic_function(p.name, p.description, p.parameters_schema, p.host_api_description, {
+        returns_schema: p.returns_schema,
+        permissions: p.permissions,
+        examples: p.examples,
+        mock_external_apis: p.mock_external_apis,
+        store_failing_tests: p.store_failing_tests
+    }),
+    store_predefined: (executor, p) => executor.store_predefined_function_js(p),
+    get: (executor, p) => executor.get_function_definition_js(p.name, p.version !== undefined && p.version !== null ? Number(p.version) : null),
+    list: (executor) => executor.list_functions_js(),
+    execute: (executor, p) => executor.execute_dynamic_function(p.name, p.params || {}, null, {
+        version: p.version !== undefined && p.version !== null ? Number(p.version) : undefined,
+        sandbox_mode: p.sandbox_mode,
+        limits: p.limits
+    }),
+    clear: async (executor) => {
+        await executor.clear_function_store_js();
+        return 'Generated JS functions cleared.';
+    }
+};
+
+// Params from the HTTP and JSON-RPC front-ends. Only the local CLI may pick the sandbox or raise
+// limits: 'vm' cannot stop async loops, so a remote caller could hang the server with it.
+function networkParams(executor, operation, params) {
+    if (operation !== 'execute') return params;
+    const { sandbox_mode, limits, ...rest } = params;
+    if (!limits || typeof limits !== 'object') return rest;
+    const clamped = {};
+    for (const [key, value] of Object.entries(executor.sandbox_limits)) {
+        if (typeof limits[key] === 'number' && limits[key] > 0 && limits[key] < value) clamped[key] = limits[key];
+    }
+    return { ...rest, limits: clamped };
+}
+
+function tokensMatch(expected, provided) {
+    if (typeof provided !== 'string') return false;
+    const a = crypto.createHash('sha256').update(expected).digest();
+    const b = crypto.createHash('sha256').update(provided).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes.`), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf-8');
+            if (!text.trim()) return resolve({});
+            try {
+                resolve(JSON.parse(text));
+            } catch (e) {
+                reject(Object.assign(new Error(`Request body is not valid JSON: ${e.message}`), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Returns null for an unknown route; throws URIError for a malformed escape.
+function matchRoute(method, pathname) {
+    const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    if (parts[0] === 'logs' && parts.length === 1 && method === 'GET') return { operation: 'logs' };
+    if (parts[0] !== 'functions') return null;
+    if (parts.length === 1) {
+        if (method === 'GET') return { operation: 'list' };
+        if (method === 'POST') return { operation: 'create' };
+        if (method === 'DELETE') return { operation: 'clear' };
+    }
+    if (parts.length === 2 && parts[1] === 'predefined' && method === 'POST') return { operation: 'store_predefined' };
+    if (parts.length === 2 && method === 'GET') return { operation: 'get', name: parts[1] };
+    if (parts.length === 3 && parts[2] === 'execute' && method === 'POST') return { operation: 'execute', name: parts[1] };
+    return null;
+}
+
+function createExecutorHttpServer(executor, options = {}) {
+    const auth_token = options.auth_token || null;
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        let route;
+        try {
+            route = matchRoute(req.method, url.pathname);
+        } catch (e) {
+            return sendJson(res, 400, { error: `Malformed request path: ${e.message}` });
+        }
+        if (!route) return sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}.` });
+
+        if (auth_token) {
+            const header = req.headers.authorization || '';
+            const provided = header.startsWith('Bearer ') ? header.slice(7) : (route.operation === 'logs' ? url.searchParams.get('token') : null);
+            if (!tokensMatch(auth_token, provided)) return sendJson(res, 401, { error: 'Missing or invalid auth token.' });
+        }
+
+        if (route.operation === 'logs') {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+            res.write(': connected\n\n');
+            const run_id = url.searchParams.get('run_id');
+            const unsubscribe = executor.on_log(entry => {
+                if (run_id && entry.run_id !== run_id && entry.root_run_id !== run_id) return;
+                res.write(`event: log\ndata: ${JSON.stringify(entry)}\n\n`);
+            });
+            req.on('close', unsubscribe);
+            return;
+        }
+
+        let body;
+        try {
+            body = req.method === 'POST' ? await readJsonBody(req) : {};
+        } catch (e) {
+            return sendJson(res, e.status || 400, { error: e.message });
+        }
+        const params = networkParams(executor, route.operation, { ...body });
+        if (route.name) params.name = route.name;
+        if (route.operation === 'get' && url.searchParams.has('version')) params.version = url.searchParams.get('version');
+
+        if (body.stream === true && (route.operation === 'create' || route.operation === 'execute')) {
+            res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+            let streaming = true;
+            const writeLog = (entry) => {
+                if (streaming) res.write(`${JSON.stringify({ type: 'log', ...entry })}\n`);
+            };
+            try {
+                const result = await executor.with_log_listener(writeLog, () => OPERATIONS[route.operation](executor, params));
+                res.write(`${JSON.stringify({ type: 'result', ok: !isErrorResult(result), result })}\n`);
+            } catch (e) {
+                res.write(`${JSON.stringify({ type: 'result', ok: false, error: e.message })}\n`);
+            } finally {
+                streaming = false;
+                res.end();
+            }
+            return;
+        }
+
+        try {
+            const result = await OPERATIONS[route.operation](executor, params);
+            if (route.operation === 'get' && !result) {
+                return sendJson(res, 404, { error: `JS Function '${params.name}' not found.` });
+            }
+            sendJson(res, isErrorResult(result) ? 422 : 200, { ok: !isErrorResult(result), result });
+        } catch (e) {
+            console.error(`Executor HTTP ${route.operation} failed: ${e.stack || e}`);
+            sendJson(res, 500, { error: e.message });
+        }
+    });
+}
+
+function mcpLogLevel(level) {
+    if (level === 'log') return 'info';
+    if (level === 'warn') return 'warning';
+    return level;
+}
+
+async function buildMcpToolList(executor) {
+    const stored = await executor.list_functions_js();
+    return [
+        {
+            name: FUNCTION_CREATION_TOOL_DEFINITION_JS.name,
+            description: FUNCTION_CREATION_TOOL_DEFINITION_JS.description,
+            inputSchema: FUNCTION_CREATION_TOOL_DEFINITION_JS.parameters
+        },
+        ...stored.map(f => ({ name: f.name, description: f.description, inputSchema: f.parameters_schema }))
+    ];
+}
+
+// Resolves when `input` ends. The executor's own debug output goes to stdout, so it is
+// switched off here; the same entries still reach the client as log notifications.
+function runJsonRpcStdioServer(executor, options = {}) {
+    const input = options.input || process.stdin;
+    const output = options.output || process.stdout;
+    let min_log_level = options.log_level || 'info';
+    executor.is_debug = false;
+
+    const send = (message) => output.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+    const unsubscribe = executor.on_log(entry => {
+        const level = mcpLogLevel(entry.level);
+        if (LOG_LEVEL_ORDER.indexOf(level) < LOG_LEVEL_ORDER.indexOf(min_log_level)) return;
+        send({ method: 'notifications/message', params: { level, logger: 'dynexec', data: entry } });
+    });
+
+    const methods = {
+        'initialize': async () => ({
+            protocolVersion: MCP_PROTOCOL_VERSION,
+            capabilities: { tools: { listChanged: false }, logging: {} },
+            serverInfo: { name: 'dynexec', version: '1' }
+        }),
+        'ping': async () => ({}),
+        'logging/setLevel': async (params) => {
+            if (!LOG_LEVEL_ORDER.includes(params.level)) {
+                throw Object.assign(new Error(`Unknown log level '${params.level}'.`), { code: JSON_RPC_ERRORS.invalid_params });
+            }
+            min_log_level = params.level;
+            return {};
+        },
+        'tools/list': async () => ({ tools: await buildMcpToolList(executor) }),
+        'tools/call': async (params) => {
+            if (!params || typeof params.name !== 'string') {
+                throw Object.assign(new Error('tools/call needs a tool name.'), { code: JSON_RPC_ERRORS.invalid_params });
+            }
+            const result = await executor.execute_dynamic_function(params.name, params.arguments || {});
+            return { content: [{ type: 'text', text: String(result) }], isError: isErrorResult(result) };
+        }
+    };
+    for (const operation of Object.keys(OPERATIONS)) {
+        methods[`functions/${operation}`] = async (params) => ({ result: await OPERATIONS[operation](executor, networkParams(executor, operation, params || {})) });
+    }
+
+    const handle = async (line) => {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (e) {
+            return send({ id: null, error: { code: JSON_RPC_ERRORS.parse, message: `Parse error: ${e.message}` } });
+        }
+        const isRequest = message && message.id !== undefined && message.id !== null;
+        if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+            if (isRequest) send({ id: message.id, error: { code: JSON_RPC_ERRORS.invalid_request, message: 'Invalid JSON-RPC 2.0 request.' } });
+            return;
+        }
+        const method = methods[message.method];
+        if (!isRequest) return; // notifications (e.g. notifications/initialized) need no reply
+        if (!method) {
+            return send({ id: message.id, error: { code: JSON_RPC_ERRORS.method_not_found, message: `Method not found: ${message.method}` } });
+        }
+        try {
+            send({ id: message.id, result: await method(message.params || {}) });
+        } catch (e) {
+            send({ id: message.id, error: { code: e.code && Number.isInteger(e.code) ? e.code : JSON_RPC_ERRORS.internal, message: e.message } });
+        }
+    };
+
+    return new Promise(resolve => {
+        const pending = new Set();
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        lines.on('line', (line) => {
+            if (!line.trim()) return;
+            const task = handle(line).finally(() => pending.delete(task));
+            pending.add(task);
+        });
+        lines.on('close', async () => {
+            await Promise.all(pending);
+            unsubscribe();
+            resolve();
+        });
+    });
+}
+
+module.exports = {
+    OPERATIONS,
+    networkParams,
+    isErrorResult,
+    createExecutorHttpServer,
+    runJsonRpcStdioServer
+};
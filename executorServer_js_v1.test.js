@@ -0,0 +1,114 @@
+// FILE: executorServer_js_v1.test.js v1
+// Run with `node --test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { DynamicExecutorJS, InMemoryFunctionStoreJS } = require('./dynamicExecutor_js_v1');
+const { createExecutorHttpServer, runJsonRpcStdioServer, networkParams } = require('./executorServer_js_v1');
+
+async function createExecutor() {
+    const executor = new DynamicExecutorJS({
+        function_store: new InMemoryFunctionStoreJS(),
+        static_analysis: false,
+        sandbox_limits: { timeout_ms: 500 }
+    });
+    executor.is_debug = false;
+    await executor.initialize_store_js(() => '', () => ({}));
+    await executor.store_predefined_function_js({
+        name: 'greet',
+        description: 'Greets someone.',
+        parameters_schema_json: JSON.stringify({ type: 'object', properties: { who: { type: 'string' } }, required: ['who'] }),
+        code_string: 'async function greet(params) { console.log("greeting " + params.who); return "hi " + params.who; }'
+    });
+    return executor;
+}
+
+async function withServer(executor, options, run) {
+    const server = createExecutorHttpServer(executor, options).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+        await run(base);
+    } finally {
+        server.close();
+    }
+}
+
+test('HTTP: lists, gets and executes functions', async () => {
+    const executor = await createExecutor();
+    await withServer(executor, {}, async (base) => {
+        const list = await (await fetch(`${base}/functions`)).json();
+        assert.deepEqual(list.result.map(f => f.name), ['greet']);
+
+        const run = await fetch(`${base}/functions/greet/execute`, { method: 'POST', body: JSON.stringify({ params: { who: 'Ada' } }) });
+        assert.equal(run.status, 200);
+        assert.deepEqual(await run.json(), { ok: true, result: 'hi Ada' });
+
+        const invalid = await fetch(`${base}/functions/greet/execute`, { method: 'POST', body: JSON.stringify({ params: {} }) });
+        assert.equal(invalid.status, 422);
+
+        assert.equal((await fetch(`${base}/functions/missing`)).status, 404);
+        assert.equal((await fetch(`${base}/nothing`)).status, 404);
+    });
+});
+
+test('HTTP: a malformed path escape is a 400, not a crash', async () => {
+    const executor = await createExecutor();
+    await withServer(executor, {}, async (base) => {
+        const response = await fetch(`${base}/functions/%E0%A4%A`);
+        assert.equal(response.status, 400);
+        assert.equal((await fetch(`${base}/functions`)).status, 200);
+    });
+});
+
+test('HTTP: requests need the auth token when one is set', async () => {
+    const executor = await createExecutor();
+    await withServer(executor, { auth_token: 'secret' }, async (base) => {
+        assert.equal((await fetch(`${base}/functions`)).status, 401);
+        assert.equal((await fetch(`${base}/functions`, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+        assert.equal((await fetch(`${base}/functions`, { headers: { Authorization: 'Bearer secret' } })).status, 200);
+    });
+});
+
+test('HTTP: a streamed execute carries its own logs, then the result', async () => {
+    const executor = await createExecutor();
+    await withServer(executor, {}, async (base) => {
+        const response = await fetch(`${base}/functions/greet/execute`, { method: 'POST', body: JSON.stringify({ params: { who: 'Ada' }, stream: true }) });
+        const lines = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+        assert.ok(lines.some(line => line.type === 'log' && line.message === 'greeting Ada'));
+        assert.deepEqual(lines[lines.length - 1], { type: 'result', ok: true, result: 'hi Ada' });
+    });
+});
+
+test('networkParams: network callers cannot pick the sandbox or raise limits', () => {
+    const executor = { sandbox_limits: { timeout_ms: 500, memory_mb: 64 } };
+    assert.deepEqual(
+        networkParams(executor, 'execute', { name: 'f', sandbox_mode: 'vm', limits: { timeout_ms: 100000, memory_mb: 32, other: 1 } }),
+        { name: 'f', limits: { memory_mb: 32 } }
+    );
+    assert.deepEqual(networkParams(executor, 'execute', { name: 'f', sandbox_mode: 'vm' }), { name: 'f' });
+    assert.deepEqual(networkParams(executor, 'get', { name: 'f', version: 2 }), { name: 'f', version: 2 });
+});
+
+test('JSON-RPC: tools/list and functions/execute over stdio', async () => {
+    const executor = await createExecutor();
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let text = '';
+    output.on('data', chunk => { text += chunk; });
+    const done = runJsonRpcStdioServer(executor, { input, output });
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })}\n`);
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'functions/execute', params: { name: 'greet', params: { who: 'Ada' }, sandbox_mode: 'vm' } })}\n`);
+    input.write('not json\n');
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'nope' })}\n`);
+    input.end();
+    await done;
+
+    const responses = text.trim().split('\n').map(line => JSON.parse(line)).filter(message => message.id !== undefined);
+    const byId = (id) => responses.find(message => message.id === id);
+    assert.deepEqual(byId(1).result.tools.map(tool => tool.name), ['create_dynamic_function', 'greet']);
+    assert.equal(byId(2).result.result, 'hi Ada');
+    assert.equal(byId(null).error.code, -32700);
+    assert.equal(byId(3).error.code, -32601);
+});
@@ -0,0 +1,63 @@
+// FILE: executorShared_js_v1.js v1
+// Helpers shared by DynamicExecutorJS, its sandboxes and DynamicExecutorBrowserJS.
+//
+// Also loads as a classic <script> in the browser, after schemaValidator_js_v1.js, where it
+// attaches window.ExecutorSharedJS. Top-level names of classic scripts share one global scope,
+// hence the module-specific name of the validator binding below.
+
+const sharedSchemaValidatorJS = typeof module === 'object' && module.exports ? require('./schemaValidator_js_v1') : globalThis.SchemaValidatorJS;
+
+// Host side of an external_apis or functions call. Never rejects: failures travel back as an envelope.
+// Only own properties of `apis` are callable, so names like `toString` do not reach Object.prototype.
+async function invokeHostApi(apis, apiName, argsJson, namespace = 'external_apis') {
+    const apiFunction = Object.prototype.hasOwnProperty.call(apis, apiName) ? apis[apiName] : null;
+    if (typeof apiFunction !== 'function') {
+        return JSON.stringify({ ok: false, error: `${namespace}.${apiName} is not a function.` });
+    }
+    try {
+        const value = await apiFunction(JSON.parse(argsJson));
+        return JSON.stringify({ ok: true, value: value === undefined ? null : value });
+    } catch (e) {
+        return JSON.stringify({ ok: false, error: e && e.message ? e.message : String(e) });
+    }
+}
+
+// The list_functions_js entry of a stored record.
+function summarizeFunctionRecord(record) {
+    return {
+        name: record.name,
+        description: record.description,
+        parameters_schema: JSON.parse(record.parameters_schema_json)
+    };
+}
+
+// Returns `result` when it may be handed to the caller, otherwise a JSON `{ error, validation_errors,
+// raw_result }` string. Errors reported by the guest itself ("Error: ..." or { error }) are passed
+// through unchecked; only success results have to match the declared returns_schema.
+function checkReturnsSchema(function_name, result, returns_schema) {
+    if (result.startsWith('Error')) return result;
+    let parsed;
+    try {
+        parsed = JSON.parse(result);
+    } catch (e) {
+        return JSON.stringify({
+            error: `JS function '${function_name}' declares a returns_schema but returned a non-JSON string.`,
+            validation_errors: [{ path: '$', message: `not valid JSON: ${e.message}` }],
+            raw_result: result.substring(0, 500)
+        });
+    }
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed) && parsed.error !== undefined) return result;
+    const result_errors = sharedSchemaValidatorJS.validateAgainstSchema(parsed, returns_schema);
+    if (result_errors.length === 0) return result;
+    return JSON.stringify({
+        error: `Return value of JS function '${function_name}' does not match its returns_schema.`,
+        validation_errors: result_errors,
+        raw_result: result.substring(0, 500)
+    });
+}
+
+if (typeof module === 'object' && module.exports) {
+    module.exports = { invokeHostApi, summarizeFunctionRecord, checkReturnsSchema };
+} else {
+    globalThis.ExecutorSharedJS = { invokeHostApi, summarizeFunctionRecord, checkReturnsSchema };
+}
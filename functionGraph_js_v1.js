@@ -0,0 +1,78 @@
+// FILE: functionGraph_js_v1.js v1
+// Dependency graph between stored dynamic functions.
+//
+// Guest code calls other stored functions through the `functions` namespace
+// (`await functions.otherFunction({...})`). Dependencies are found statically in the code
+// string and recorded with each saved version as `dependencies: [name, ...]`. The graph maps
+// every function name to its dependency list.
+
+const DEPENDENCY_PATTERN = /\bfunctions\s*(?:\.\s*([A-Za-z_$][\w$]*)|\[\s*(['"`])([A-Za-z_$][\w$]*)\2\s*\])/g;
+
+function extractFunctionDependencies(code_string) {
+    const names = new Set();
+    for (const match of (code_string || '').matchAll(DEPENDENCY_PATTERN)) {
+        names.add(match[1] || match[3]);
+    }
+    return [...names].sort();
+}
+
+// records: stored function records (as returned by a function store's list()).
+function buildDependencyGraph(records) {
+    const graph = new Map();
+    for (const record of records) {
+        graph.set(record.name, Array.isArray(record.dependencies) ? record.dependencies : extractFunctionDependencies(record.code_string));
+    }
+    return graph;
+}
+
+// Returns a cycle through `start` as a list of names ending in `start` again, or null.
+function findDependencyCycle(graph, start) {
+    const visited = new Set();
+    const visit = (name, trail) => {
+        for (const dependency of graph.get(name) || []) {
+            if (dependency === start) return [...trail, dependency];
+            if (visited.has(dependency)) continue;
+            visited.add(dependency);
+            const cycle = visit(dependency, [...trail, dependency]);
+            if (cycle) return cycle;
+        }
+        return null;
+    };
+    return visit(start, [start]);
+}
+
+// Every function that calls `name` directly or transitively, nearest first. `path` runs from
+// the dependent down to `name`.
+function findImpactedDependents(graph, name) {
+    const dependents = new Map();
+    for (const [caller, dependencies] of graph) {
+        for (const dependency of dependencies) {
+            if (!dependents.has(dependency)) dependents.set(dependency, []);
+            dependents.get(dependency).push(caller);
+        }
+    }
+    const impacted = [];
+    const seen = new Set([name]);
+    let frontier = [{ name, path: [name] }];
+    for (let depth = 1; frontier.length > 0; depth++) {
+        const next = [];
+        for (const node of frontier) {
+            for (const caller of (dependents.get(node.name) || []).sort()) {
+                if (seen.has(caller)) continue;
+                seen.add(caller);
+                const entry = { name: caller, depth, path: [caller, ...node.path] };
+                impacted.push(entry);
+                next.push(entry);
+            }
+        }
+        frontier = next;
+    }
+    return impacted;
+}
+
+module.exports = {
+    extractFunctionDependencies,
+    buildDependencyGraph,
+    findDependencyCycle,
+    findImpactedDependents
+};
@@ -0,0 +1,70 @@
+// FILE: functionGraph_js_v1.test.js v1
+// Run with `node --test` (needs dotenv, uuid, acorn and acorn-walk).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractFunctionDependencies, buildDependencyGraph, findDependencyCycle, findImpactedDependents } = require('./functionGraph_js_v1');
+const { DynamicExecutorJS, InMemoryFunctionStoreJS } = require('./dynamicExecutor_js_v1');
+
+test('extractFunctionDependencies: dotted and literal bracket calls, sorted and unique', () => {
+    const code = 'await functions.b({}); await functions [ "a" ]({}); await functions.b({}); functions[`c`]; functions[name]; myfunctions.d;';
+    assert.deepEqual(extractFunctionDependencies(code), ['a', 'b', 'c']);
+    assert.deepEqual(extractFunctionDependencies(undefined), []);
+});
+
+test('cycles and impacted dependents', () => {
+    const graph = buildDependencyGraph([
+        { name: 'report', dependencies: ['total', 'format'] },
+        { name: 'total', code_string: 'await functions.price({});' },
+        { name: 'price', dependencies: [] },
+        { name: 'format', dependencies: [] }
+    ]);
+    assert.deepEqual(graph.get('total'), ['price']);
+    assert.equal(findDependencyCycle(graph, 'report'), null);
+    graph.set('price', ['report']);
+    assert.deepEqual(findDependencyCycle(graph, 'price'), ['price', 'report', 'total', 'price']);
+    graph.set('price', []);
+    assert.deepEqual(findImpactedDependents(graph, 'price'), [
+        { name: 'total', depth: 1, path: ['total', 'price'] },
+        { name: 'report', depth: 2, path: ['report', 'total', 'price'] }
+    ]);
+});
+
+async function createExecutor(options = {}) {
+    const executor = new DynamicExecutorJS({ function_store: new InMemoryFunctionStoreJS(), sandbox_limits: { timeout_ms: 2000 }, ...options });
+    executor.is_debug = false;
+    await executor.initialize_store_js(() => '', () => options.external_apis || {});
+    const store = (name, body, extra = {}) => executor.store_predefined_function_js({
+        name, description: name, parameters_schema_json: '{"type":"object"}', code_string: `async function ${name}(params) { ${body} }`, ...extra
+    });
+    return { executor, store };
+}
+
+test('executor: call cycles are refused when storing', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { executor, store } = await createExecutor();
+    assert.match(await store('self', 'return functions.self({});'), /call cycle: self -> self/);
+    assert.match(await store('a', 'return "a";'), /^Successfully/);
+    assert.match(await store('b', 'return functions.a({});'), /^Successfully/);
+    assert.match(await store('a', 'return functions.b({});'), /call cycle: a -> b -> a/);
+    assert.equal(await executor.execute_dynamic_function('b', {}), 'a');
+    assert.deepEqual(await executor.get_dependency_graph_js(), { nodes: ['a', 'b'], edges: [{ from: 'b', to: 'a', missing: false }] });
+    assert.deepEqual((await executor.get_impacted_functions_js('a')).direct_dependents, ['b']);
+});
+
+test('executor: nested calls keep their own permissions and the depth limit', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    // Static analysis would already refuse to store `reader`; this checks the runtime permissions.
+    const { executor, store } = await createExecutor({ static_analysis: false, max_call_depth: 2, external_apis: { secret: async () => 'SECRET' } });
+    assert.match(await store('reader', 'return await external_apis.secret();', { permissions_json: '{"allowed_apis":[]}' }), /^Successfully/);
+    await store('trusted', 'const inner = await functions.reader({}); return (await external_apis.secret()) + " / " + inner;', { permissions_json: '{"allowed_apis":["secret"]}' });
+    const result = await executor.execute_dynamic_function('trusted', {});
+    assert.match(result, /^SECRET \/ .*Permission denied/);
+
+    await store('level1', 'return "bottom";');
+    await store('level2', 'return functions.level1({});');
+    await store('level3', 'return functions.level2({});');
+    assert.equal(await executor.execute_dynamic_function('level2', {}), 'bottom');
+    assert.match(await executor.execute_dynamic_function('level3', {}), /Maximum function call depth of 2 exceeded: level3 -> level2 -> level1/);
+});
@@ -0,0 +1,158 @@
+// FILE: functionStores_js_v1.js v1
+// Pluggable storage backends for DynamicExecutorJS function records.
+//
+// Every store implements the same asynchronous interface:
+//   get(name)          -> record object or null
+//   put(name, record)  -> stores (creates or replaces) the record
+//   list()             -> array of all records, sorted by name
+//   delete(name)       -> true if a record was removed
+// Names are JavaScript identifiers (FUNCTION_NAME_PATTERN); the file store rejects anything else,
+// since names become file paths.
+
+const fs = require('fs');
+const path = require('path');
+
+const FUNCTION_NAME_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+function cloneRecord(record) {
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+}
+
+class InMemoryFunctionStoreJS {
+    constructor() {
+        this.records = new Map();
+    }
+
+    describe() {
+        return 'in-memory';
+    }
+
+    async get(name) {
+        return cloneRecord(this.records.get(name));
+    }
+
+    async put(name, record) {
+        this.records.set(name, cloneRecord(record));
+    }
+
+    async list() {
+        return [...this.records.keys()].sort().map(name => cloneRecord(this.records.get(name)));
+    }
+
+    async delete(name) {
+        return this.records.delete(name);
+    }
+}
+
+// One `<name>.json` file per function. The directory is created on first write,
+// not when the module is loaded.
+class FileFunctionStoreJS {
+    constructor(directory) {
+        if (!directory) {
+            throw new Error('FileFunctionStoreJS requires a directory.');
+        }
+        this.directory = directory;
+    }
+
+    describe() {
+        return `directory ${this.directory}`;
+    }
+
+    _filePath(name) {
+        if (typeof name !== 'string' || !FUNCTION_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid function name ${JSON.stringify(name)}: names must be JavaScript identifiers.`);
+        }
+        return path.join(this.directory, `${name}.json`);
+    }
+
+    async get(name) {
+        const filePath = this._filePath(name);
+        if (!fs.existsSync(filePath)) return null;
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    }
+
+    async put(name, record) {
+        const filePath = this._filePath(name);
+        if (!fs.existsSync(this.directory)) {
+            fs.mkdirSync(this.directory, { recursive: true });
+        }
+        fs.writeFileSync(filePath, JSON.stringify(record, null, 2));
+    }
+
+    async list() {
+        if (!fs.existsSync(this.directory)) return [];
+        const records = [];
+        for (const file of fs.readdirSync(this.directory).sort()) {
+            if (!file.endsWith('.json')) continue;
+            records.push(JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf-8')));
+        }
+        return records;
+    }
+
+    async delete(name) {
+        const filePath = this._filePath(name);
+        if (!fs.existsSync(filePath)) return false;
+        fs.unlinkSync(filePath);
+        return true;
+    }
+}
+
+// Single-file SQLite store. `better-sqlite3` is only loaded when this store is used.
+class SQLiteFunctionStoreJS {
+    constructor(databaseFile) {
+        if (!databaseFile) {
+            throw new Error('SQLiteFunctionStoreJS requires a database file path (or ":memory:").');
+        }
+        const Database = require('better-sqlite3');
+        this.database_file = databaseFile;
+        this.db = new Database(databaseFile);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS dynamic_functions (
+                name TEXT PRIMARY KEY,
+                record_json TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            )
+        `);
+        this.statements = {
+            get: this.db.prepare('SELECT record_json FROM dynamic_functions WHERE name = ?'),
+            put: this.db.prepare(`
+                INSERT INTO dynamic_functions (name, record_json, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET record_json = excluded.record_json, updated_at = excluded.updated_at
+            `),
+            list: this.db.prepare('SELECT record_json FROM dynamic_functions ORDER BY name'),
+            delete: this.db.prepare('DELETE FROM dynamic_functions WHERE name = ?'),
+        };
+    }
+
+    describe() {
+        return `sqlite ${this.database_file}`;
+    }
+
+    async get(name) {
+        const row = this.statements.get.get(name);
+        return row ? JSON.parse(row.record_json) : null;
+    }
+
+    async put(name, record) {
+        this.statements.put.run(name, JSON.stringify(record), new Date().toISOString());
+    }
+
+    async list() {
+        return this.statements.list.all().map(row => JSON.parse(row.record_json));
+    }
+
+    async delete(name) {
+        return this.statements.delete.run(name).changes > 0;
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = {
+    FUNCTION_NAME_PATTERN,
+    InMemoryFunctionStoreJS,
+    FileFunctionStoreJS,
+    SQLiteFunctionStoreJS
+};
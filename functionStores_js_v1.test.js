@@ -0,0 +1,92 @@
+// FILE: functionStores_js_v1.test.js v1
+// Run with `node --test` (the SQLite cases need better-sqlite3).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InMemoryFunctionStoreJS, FileFunctionStoreJS, SQLiteFunctionStoreJS } = require('./functionStores_js_v1');
+const { DynamicExecutorJS } = require('./dynamicExecutor_js_v1');
+
+function temporaryDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dynexec-store-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+const stores = {
+    'in-memory': () => new InMemoryFunctionStoreJS(),
+    file: (t) => new FileFunctionStoreJS(path.join(temporaryDirectory(t), 'functions')),
+    sqlite: (t) => {
+        const store = new SQLiteFunctionStoreJS(':memory:');
+        t.after(() => store.close());
+        return store;
+    }
+};
+
+for (const [kind, createStore] of Object.entries(stores)) {
+    test(`${kind} store: get, put, list and delete`, async (t) => {
+        const store = createStore(t);
+        assert.equal(await store.get('missing'), null);
+        assert.deepEqual(await store.list(), []);
+
+        await store.put('zeta', { name: 'zeta', code_string: 'z' });
+        await store.put('alpha', { name: 'alpha', code_string: 'a', nested: { n: 1 } });
+        await store.put('zeta', { name: 'zeta', code_string: 'z2' });
+        assert.deepEqual(await store.get('alpha'), { name: 'alpha', code_string: 'a', nested: { n: 1 } });
+        assert.deepEqual((await store.list()).map(r => [r.name, r.code_string]), [['alpha', 'a'], ['zeta', 'z2']]);
+
+        const copy = await store.get('alpha');
+        copy.nested.n = 2;
+        assert.equal((await store.get('alpha')).nested.n, 1);
+
+        assert.equal(await store.delete('alpha'), true);
+        assert.equal(await store.delete('alpha'), false);
+        assert.deepEqual((await store.list()).map(r => r.name), ['zeta']);
+    });
+}
+
+test('file store: names cannot leave the directory', async (t) => {
+    const directory = temporaryDirectory(t);
+    const store = new FileFunctionStoreJS(path.join(directory, 'functions'));
+    for (const name of ['../outside', 'a/b', '', 'with.dot']) {
+        await assert.rejects(store.put(name, {}), /Invalid function name/);
+        await assert.rejects(store.get(name), /Invalid function name/);
+    }
+    assert.deepEqual(fs.readdirSync(directory), []);
+    assert.throws(() => new FileFunctionStoreJS(), /requires a directory/);
+});
+
+test('file store: the directory is created on first write and ignores other files', async (t) => {
+    const directory = path.join(temporaryDirectory(t), 'functions');
+    const store = new FileFunctionStoreJS(directory);
+    assert.equal(fs.existsSync(directory), false);
+    await store.put('one', { name: 'one' });
+    fs.writeFileSync(path.join(directory, 'notes.txt'), 'not a record');
+    assert.deepEqual(await store.list(), [{ name: 'one' }]);
+});
+
+test('DynamicExecutorJS keeps its functions in the given store', async (t) => {
+    const database = path.join(temporaryDirectory(t), 'functions.db');
+    const definition = {
+        name: 'hello',
+        description: 'Says hello.',
+        parameters_schema_json: '{"type":"object"}',
+        code_string: 'async function hello(params) { return "hello"; }'
+    };
+    const first = new SQLiteFunctionStoreJS(database);
+    const writer = new DynamicExecutorJS({ function_store: first, sandbox_limits: { timeout_ms: 1000 } });
+    writer.is_debug = false;
+    await writer.initialize_store_js(() => '', () => ({}));
+    assert.match(await writer.store_predefined_function_js(definition), /^Successfully/);
+    first.close();
+
+    const second = new SQLiteFunctionStoreJS(database);
+    t.after(() => second.close());
+    const reader = new DynamicExecutorJS({ function_store: second, sandbox_limits: { timeout_ms: 1000 } });
+    reader.is_debug = false;
+    await reader.initialize_store_js(() => '', () => ({}));
+    assert.deepEqual((await reader.list_functions_js()).map(f => f.name), ['hello']);
+    assert.equal(await reader.execute_dynamic_function('hello', {}), 'hello');
+});
@@ -0,0 +1,107 @@
+// FILE: functionTests_js_v1.js v1
+// Example-based behavioral tests for generated functions.
+//
+// A test suite is a list of examples:
+//   { description?, params, expected_output, match?: 'exact' | 'subset', mock_external_apis? }
+// A string expected_output is compared with the returned string as-is. Any other value is
+// compared with JSON.parse(result): deep equality for 'exact' (the default), or, for 'subset',
+// every key present in the expected object must match.
+//
+// Mocked external_apis fixtures map API names to:
+//   a function       - called with the API arguments
+//   an array         - successive responses; the last one repeats
+//   any other value  - returned for every call
+
+function buildMockExternalApis(fixture = {}) {
+    const mocks = {};
+    for (const [apiName, response] of Object.entries(fixture)) {
+        if (typeof response === 'function') {
+            mocks[apiName] = async (args) => response(args);
+        } else if (Array.isArray(response)) {
+            let callIndex = 0;
+            mocks[apiName] = async () => response[Math.min(callIndex++, response.length - 1)];
+        } else {
+            mocks[apiName] = async () => response;
+        }
+    }
+    return mocks;
+}
+
+function isSubset(expected, actual) {
+    if (expected === null || typeof expected !== 'object') {
+        return JSON.stringify(expected) === JSON.stringify(actual);
+    }
+    if (actual === null || typeof actual !== 'object' || Array.isArray(expected) !== Array.isArray(actual)) {
+        return false;
+    }
+    if (Array.isArray(expected)) {
+        return expected.length === actual.length && expected.every((item, i) => isSubset(item, actual[i]));
+    }
+    return Object.keys(expected).every(key => isSubset(expected[key], actual[key]));
+}
+
+// Returns null when the output matches, otherwise a short reason.
+function compareTestOutput(actual, expected, match = 'exact') {
+    if (typeof expected === 'string') {
+        return actual === expected ? null : 'returned string differs from expected_output';
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(actual);
+    } catch (e) {
+        return `result is not valid JSON: ${e.message}`;
+    }
+    const matches = match === 'subset' ? isSubset(expected, parsed) : JSON.stringify(canonicalize(expected)) === JSON.stringify(canonicalize(parsed));
+    return matches ? null : `result does not ${match === 'subset' ? 'contain' : 'equal'} expected_output`;
+}
+
+// Sorts object keys so deep equality does not depend on property order.
+function canonicalize(value) {
+    if (Array.isArray(value)) return value.map(canonicalize);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalize(value[key])]));
+    }
+    return value;
+}
+
+function validateTestSuite(examples) {
+    if (!Array.isArray(examples)) throw new Error('examples must be an array.');
+    examples.forEach((example, index) => {
+        if (!example || typeof example !== 'object') throw new Error(`examples[${index}] must be an object.`);
+        if (example.expected_output === undefined) throw new Error(`examples[${index}] is missing expected_output.`);
+        if (example.match !== undefined && !['exact', 'subset'].includes(example.match)) {
+            throw new Error(`examples[${index}].match must be 'exact' or 'subset'.`);
+        }
+    });
+}
+
+function summarizeTestResults(cases) {
+    const passed = cases.filter(c => c.passed).length;
+    return {
+        total: cases.length,
+        passed,
+        failed: cases.length - passed,
+        all_passed: passed === cases.length,
+        ran_at: new Date().toISOString(),
+        cases
+    };
+}
+
+// Text block describing failing cases, used as feedback in the repair prompt.
+function formatFailingTests(cases) {
+    return cases.filter(c => !c.passed).map(c => [
+        `Test #${c.index + 1}${c.description ? ` (${c.description})` : ''}:`,
+        `  params: ${JSON.stringify(c.params)}`,
+        `  expected_output${c.match === 'subset' ? ' (subset match)' : ''}: ${JSON.stringify(c.expected_output)}`,
+        `  actual result: ${JSON.stringify(c.actual)}`,
+        `  reason: ${c.reason}`
+    ].join('\n')).join('\n\n');
+}
+
+module.exports = {
+    buildMockExternalApis,
+    compareTestOutput,
+    validateTestSuite,
+    summarizeTestResults,
+    formatFailingTests
+};
@@ -0,0 +1,103 @@
+// FILE: functionTests_js_v1.test.js v1
+// Run with `node --test` (needs dotenv, uuid, acorn and acorn-walk).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildMockExternalApis, compareTestOutput, validateTestSuite, summarizeTestResults, formatFailingTests } = require('./functionTests_js_v1');
+const { DynamicExecutorJS, InMemoryFunctionStoreJS, MockLLMProviderJS } = require('./dynamicExecutor_js_v1');
+
+test('buildMockExternalApis: functions, response sequences and constants', async () => {
+    const mocks = buildMockExternalApis({ echo: (args) => args.x, sequence: [1, 2], constant: { ok: true } });
+    assert.equal(await mocks.echo({ x: 'y' }), 'y');
+    assert.deepEqual([await mocks.sequence(), await mocks.sequence(), await mocks.sequence()], [1, 2, 2]);
+    assert.deepEqual(await mocks.constant(), { ok: true });
+});
+
+test('compareTestOutput: strings exactly, JSON by value or subset', () => {
+    assert.equal(compareTestOutput('hi', 'hi'), null);
+    assert.match(compareTestOutput('hi ', 'hi'), /differs/);
+    assert.equal(compareTestOutput('{"b":2,"a":1}', { a: 1, b: 2 }), null);
+    assert.match(compareTestOutput('{"a":1,"b":2}', { a: 1 }), /does not equal/);
+    assert.equal(compareTestOutput('{"a":1,"b":{"c":2,"d":3}}', { b: { c: 2 } }, 'subset'), null);
+    assert.match(compareTestOutput('{"a":[1,2]}', { a: [1] }, 'subset'), /does not contain/);
+    assert.match(compareTestOutput('not json', { a: 1 }), /not valid JSON/);
+});
+
+test('validateTestSuite and the failure summary', () => {
+    assert.throws(() => validateTestSuite({}), /must be an array/);
+    assert.throws(() => validateTestSuite([{ params: {} }]), /missing expected_output/);
+    assert.throws(() => validateTestSuite([{ expected_output: 1, match: 'fuzzy' }]), /match must be/);
+    validateTestSuite([{ params: {}, expected_output: 'x', match: 'subset' }]);
+
+    const summary = summarizeTestResults([
+        { index: 0, passed: true },
+        { index: 1, description: 'doubles', params: { n: 2 }, expected_output: 4, match: 'exact', passed: false, actual: '5', reason: 'result does not equal expected_output' }
+    ]);
+    assert.deepEqual([summary.total, summary.passed, summary.failed, summary.all_passed], [2, 1, 1, false]);
+    assert.equal(formatFailingTests(summary.cases), [
+        'Test #2 (doubles):',
+        '  params: {"n":2}',
+        '  expected_output: 4',
+        '  actual result: "5"',
+        '  reason: result does not equal expected_output'
+    ].join('\n'));
+});
+
+async function createExecutor(llm_provider, external_apis = {}) {
+    const executor = new DynamicExecutorJS({ function_store: new InMemoryFunctionStoreJS(), llm_provider, sandbox_limits: { timeout_ms: 1000 } });
+    executor.is_debug = false;
+    await executor.initialize_store_js(() => 'getRate({ currency }) resolves to a number.', () => external_apis);
+    return executor;
+}
+
+const CONVERT_SCHEMA = { type: 'object', properties: { amount: { type: 'number' }, currency: { type: 'string' } }, required: ['amount', 'currency'] };
+const CONVERT_EXAMPLES = [
+    { description: 'euros', params: { amount: 10, currency: 'EUR' }, expected_output: { converted: 20 } },
+    { params: { amount: 1, currency: 'GBP' }, expected_output: { converted: 3 }, mock_external_apis: { getRate: 3 } }
+];
+
+test('create_dynamic_function: failing examples are fed back until the code passes them', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const real_calls = [];
+    const llm_provider = new MockLLMProviderJS({
+        responses: [
+            'async function convert(params) { return JSON.stringify({ converted: params.amount }); }',
+            'async function convert(params) { const rate = await external_apis.getRate({ currency: params.currency }); return JSON.stringify({ converted: params.amount * rate }); }'
+        ]
+    });
+    const executor = await createExecutor(llm_provider, { getRate: async () => { real_calls.push('getRate'); return 100; } });
+    const result = await executor.create_dynamic_function('convert', 'Converts an amount.', CONVERT_SCHEMA, 'getRate', {
+        permissions: { allowed_apis: ['getRate'] },
+        examples: CONVERT_EXAMPLES,
+        mock_external_apis: { getRate: 2 }
+    });
+    assert.match(result, /^Successfully created/);
+
+    const repair_prompt = llm_provider.requests[1].messages[0].content;
+    assert.match(repair_prompt, /fails its behavioral tests/);
+    assert.match(repair_prompt, /Test #1 \(euros\):/);
+    assert.match(repair_prompt, /Test #2:/);
+    assert.deepEqual(real_calls, []);
+
+    const rerun = await executor.run_function_tests_js('convert');
+    assert.equal(rerun.all_passed, true);
+    assert.equal((await executor.query_execution_traces_js({ kind: 'test' })).length, 6);
+    assert.equal(await executor.execute_dynamic_function('convert', { amount: 1, currency: 'EUR' }), '{"converted":100}');
+    assert.deepEqual(real_calls, ['getRate']);
+});
+
+test('create_dynamic_function: failing candidates are only stored with store_failing_tests', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const wrong = 'async function convert(params) { return JSON.stringify({ converted: 0 }); }';
+    const options = { examples: CONVERT_EXAMPLES, mock_external_apis: { getRate: 2 } };
+
+    const refusing = await createExecutor(new MockLLMProviderJS({ handler: () => wrong }));
+    assert.match(await refusing.create_dynamic_function('convert', 'Converts.', CONVERT_SCHEMA, 'getRate', options), /after 4 attempt\(s\).*2 of 2 behavioral tests failed/s);
+    assert.deepEqual(await refusing.list_functions_js(), []);
+
+    const storing = await createExecutor(new MockLLMProviderJS({ handler: () => wrong }));
+    assert.match(await storing.create_dynamic_function('convert', 'Converts.', CONVERT_SCHEMA, 'getRate', { ...options, store_failing_tests: true }), /^Successfully/);
+    const stored = await storing.get_function_definition_js('convert');
+    assert.equal(JSON.parse(stored.test_results_json).failed, 2);
+    assert.match(await storing.run_function_tests_js('missing'), /not found/);
+});
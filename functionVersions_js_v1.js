@@ -0,0 +1,156 @@
+// FILE: functionVersions_js_v1.js v1
+// Version history helpers for stored DynamicExecutorJS function records.
+//
+// A stored record keeps the fields of its current version at the top level
+// (name, description, parameters_schema_json, code_string, ...) so that readers
+// which do not know about versions keep working, plus:
+//   current_version: number of the version the top-level fields mirror
+//   versions:        every saved version, oldest first
+
+const VERSIONED_FIELDS = ['description', 'parameters_schema_json', 'code_string'];
+
+// Records written before versioning existed have no `versions` array; they are
+// treated as a single version 1 with unknown provenance.
+function normalizeVersionedRecord(record) {
+    if (!record) return null;
+    if (Array.isArray(record.versions) && record.versions.length > 0) return record;
+    const legacyVersion = { version: 1, created_at: null, model: null, repair_attempts: null, source: 'legacy' };
+    for (const field of VERSIONED_FIELDS) legacyVersion[field] = record[field];
+    return { ...record, current_version: 1, versions: [legacyVersion] };
+}
+
+function appendFunctionVersion(existingRecord, name, versionData) {
+    const record = normalizeVersionedRecord(existingRecord) || { name, versions: [] };
+    const lastVersion = record.versions.reduce((max, v) => Math.max(max, v.version), 0);
+    const newVersion = {
+        ...versionData,
+        version: lastVersion + 1,
+        created_at: new Date().toISOString()
+    };
+    const versions = [...record.versions, newVersion];
+    return buildRecord(name, newVersion, newVersion.version, versions);
+}
+
+// Top-level fields always come from a single version, so fields that a newer
+// version dropped do not linger on the record.
+function buildRecord(name, headVersion, currentVersion, versions) {
+    return {
+        name,
+        ...headFieldsFromVersion(headVersion),
+        is_internal_special_function: false,
+        current_version: currentVersion,
+        versions
+    };
+}
+
+function findFunctionVersion(record, version) {
+    const normalized = normalizeVersionedRecord(record);
+    if (!normalized) return null;
+    if (version === null || version === undefined) {
+        return normalized.versions.find(v => v.version === normalized.current_version) || null;
+    }
+    return normalized.versions.find(v => v.version === Number(version)) || null;
+}
+
+// Returns the record as it looked at `version`: top-level fields replaced by that version's.
+function recordAtVersion(record, version) {
+    const found = findFunctionVersion(record, version);
+    if (!found) return null;
+    const normalized = normalizeVersionedRecord(record);
+    return { ...buildRecord(normalized.name, found, normalized.current_version, normalized.versions), version: found.version };
+}
+
+function headFieldsFromVersion(version) {
+    const { version: _v, created_at, model, repair_attempts, source, rolled_back_from, ...head } = version;
+    return head;
+}
+
+function summarizeVersion(version) {
+    return {
+        version: version.version,
+        created_at: version.created_at,
+        model: version.model,
+        repair_attempts: version.repair_attempts,
+        source: version.source,
+        rolled_back_from: version.rolled_back_from,
+        description: version.description
+    };
+}
+
+// Line diff based on the longest common subsequence. Returns entries of the form
+// { op: ' ' | '-' | '+', line }.
+function diffLines(fromText, toText) {
+    const a = (fromText || '').split('\n');
+    const b = (toText || '').split('\n');
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const result = [];
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) { result.push({ op: ' ', line: a[i] }); i++; j++; }
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) { result.push({ op: '-', line: a[i] }); i++; }
+        else { result.push({ op: '+', line: b[j] }); j++; }
+    }
+    while (i < a.length) result.push({ op: '-', line: a[i++] });
+    while (j < b.length) result.push({ op: '+', line: b[j++] });
+    return result;
+}
+
+function diffFunctionVersions(fromVersion, toVersion) {
+    const changes = {};
+    if (fromVersion.description !== toVersion.description) {
+        changes.description = { from: fromVersion.description, to: toVersion.description };
+    }
+    if (fromVersion.parameters_schema_json !== toVersion.parameters_schema_json) {
+        changes.parameters_schema = {
+            from: JSON.parse(fromVersion.parameters_schema_json),
+            to: JSON.parse(toVersion.parameters_schema_json)
+        };
+    }
+    if ((fromVersion.returns_schema_json || null) !== (toVersion.returns_schema_json || null)) {
+        changes.returns_schema = {
+            from: fromVersion.returns_schema_json ? JSON.parse(fromVersion.returns_schema_json) : null,
+            to: toVersion.returns_schema_json ? JSON.parse(toVersion.returns_schema_json) : null
+        };
+    }
+    if ((fromVersion.permissions_json || null) !== (toVersion.permissions_json || null)) {
+        changes.permissions = {
+            from: fromVersion.permissions_json ? JSON.parse(fromVersion.permissions_json) : null,
+            to: toVersion.permissions_json ? JSON.parse(toVersion.permissions_json) : null
+        };
+    }
+    const fromDependencies = JSON.stringify(fromVersion.dependencies || []);
+    const toDependencies = JSON.stringify(toVersion.dependencies || []);
+    if (fromDependencies !== toDependencies) {
+        changes.dependencies = { from: fromVersion.dependencies || [], to: toVersion.dependencies || [] };
+    }
+    if ((fromVersion.test_suite_json || null) !== (toVersion.test_suite_json || null)) {
+        changes.test_suite = {
+            from: fromVersion.test_suite_json ? JSON.parse(fromVersion.test_suite_json) : null,
+            to: toVersion.test_suite_json ? JSON.parse(toVersion.test_suite_json) : null
+        };
+    }
+    const codeDiff = diffLines(fromVersion.code_string, toVersion.code_string);
+    const codeChanged = codeDiff.some(entry => entry.op !== ' ');
+    return {
+        from_version: fromVersion.version,
+        to_version: toVersion.version,
+        identical: !codeChanged && Object.keys(changes).length === 0,
+        changes,
+        code_diff: codeChanged ? codeDiff.map(entry => `${entry.op} ${entry.line}`).join('\n') : ''
+    };
+}
+
+module.exports = {
+    normalizeVersionedRecord,
+    appendFunctionVersion,
+    findFunctionVersion,
+    recordAtVersion,
+    summarizeVersion,
+    diffLines,
+    diffFunctionVersions
+};
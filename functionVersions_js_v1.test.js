@@ -0,0 +1,91 @@
+// FILE: functionVersions_js_v1.test.js v1
+// Run with `node --test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    normalizeVersionedRecord, appendFunctionVersion, findFunctionVersion, recordAtVersion, diffLines, diffFunctionVersions
+} = require('./functionVersions_js_v1');
+const { DynamicExecutorJS, InMemoryFunctionStoreJS } = require('./dynamicExecutor_js_v1');
+
+const versionData = (code_string, extra = {}) => ({
+    description: 'Adds.',
+    parameters_schema_json: '{"type":"object"}',
+    code_string,
+    source: 'predefined',
+    ...extra
+});
+
+test('a legacy record without versions reads as version 1', () => {
+    const legacy = { name: 'f', description: 'd', parameters_schema_json: '{}', code_string: 'c' };
+    const record = normalizeVersionedRecord(legacy);
+    assert.equal(record.current_version, 1);
+    assert.deepEqual(record.versions.map(v => [v.version, v.source, v.code_string]), [[1, 'legacy', 'c']]);
+    assert.equal(normalizeVersionedRecord(null), null);
+
+    const next = appendFunctionVersion(legacy, 'f', versionData('c2'));
+    assert.equal(next.current_version, 2);
+    assert.equal(findFunctionVersion(next, 1).code_string, 'c');
+});
+
+test('appending versions keeps history and mirrors the head on the record', () => {
+    const v1 = appendFunctionVersion(null, 'f', versionData('one', { returns_schema_json: '{"type":"string"}' }));
+    const v2 = appendFunctionVersion(v1, 'f', versionData('two'));
+    assert.equal(v2.current_version, 2);
+    assert.equal(v2.code_string, 'two');
+    assert.equal(v2.returns_schema_json, undefined);
+    assert.equal(v2.source, undefined);
+    assert.deepEqual(v2.versions.map(v => v.version), [1, 2]);
+
+    const atOne = recordAtVersion(v2, '1');
+    assert.equal(atOne.version, 1);
+    assert.equal(atOne.code_string, 'one');
+    assert.equal(atOne.returns_schema_json, '{"type":"string"}');
+    assert.equal(atOne.current_version, 2);
+    assert.equal(recordAtVersion(v2, 9), null);
+    assert.equal(findFunctionVersion(v2, null).version, 2);
+});
+
+test('diffLines and diffFunctionVersions', () => {
+    assert.deepEqual(diffLines('a\nb\nc', 'a\nc\nd'), [
+        { op: ' ', line: 'a' }, { op: '-', line: 'b' }, { op: ' ', line: 'c' }, { op: '+', line: 'd' }
+    ]);
+    const from = { version: 1, ...versionData('a\nb'), dependencies: [] };
+    const to = { version: 2, ...versionData('a\nc', { description: 'Adds more.', permissions_json: '{"allowed_apis":{}}' }), dependencies: ['g'] };
+    const diff = diffFunctionVersions(from, to);
+    assert.equal(diff.identical, false);
+    assert.deepEqual(Object.keys(diff.changes).sort(), ['dependencies', 'description', 'permissions']);
+    assert.equal(diff.code_diff, '  a\n- b\n+ c');
+    assert.equal(diffFunctionVersions(from, { ...from, version: 3 }).identical, true);
+});
+
+test('executor: pinned execution, diff and rollback', async () => {
+    const executor = new DynamicExecutorJS({ function_store: new InMemoryFunctionStoreJS(), sandbox_limits: { timeout_ms: 1000 } });
+    executor.is_debug = false;
+    await executor.initialize_store_js(() => '', () => ({}));
+    const store = (body) => executor.store_predefined_function_js({
+        name: 'answer', description: 'Answers.', parameters_schema_json: '{"type":"object"}',
+        code_string: `async function answer(params) {\n    return "${body}";\n}`
+    });
+    assert.match(await store('v1'), /version 1/);
+    assert.match(await store('v2'), /version 2/);
+
+    assert.equal(await executor.execute_dynamic_function('answer', {}), 'v2');
+    assert.equal(await executor.execute_dynamic_function('answer', {}, null, { version: 1 }), 'v1');
+    assert.match(await executor.execute_dynamic_function('answer', {}, null, { version: 7 }), /version 7 not found/);
+
+    const diff = await executor.diff_function_versions_js('answer', 1, 2);
+    assert.equal(diff.code_diff.split('\n').filter(line => line.startsWith('-') || line.startsWith('+')).length, 2);
+    assert.equal(await executor.diff_function_versions_js('answer', 1, 5), null);
+
+    assert.match(await executor.rollback_function_js('answer', 1), /now version 3/);
+    assert.equal(await executor.execute_dynamic_function('answer', {}), 'v1');
+    const history = await executor.list_function_versions_js('answer');
+    assert.deepEqual(history.map(v => [v.version, v.source, v.rolled_back_from, v.is_current]), [
+        [1, 'predefined', undefined, false],
+        [2, 'predefined', undefined, false],
+        [3, 'rollback', 1, true]
+    ]);
+    assert.match(await executor.rollback_function_js('answer', 9), /^Error: Version 9/);
+    assert.equal((await executor.get_function_version_js('answer', 2)).code_string.includes('v2'), true);
+});
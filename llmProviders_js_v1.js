@@ -0,0 +1,184 @@
+// FILE: llmProviders_js_v1.js v1
+// LLM providers for DynamicExecutorJS.
+//
+// A provider is any object with
+//   async complete({ model, messages, temperature, tools }) -> { content, tool_calls, finish_reason, model }
+//   describe() -> string
+// `messages` and `tools` use the OpenAI chat-completions shapes. `tool_calls` is always an
+// array of { id, name, arguments } where `arguments` is the raw JSON string from the model.
+//
+//   OpenAICompatibleProviderJS - any OpenAI-compatible endpoint (OpenAI, Gemini, local servers).
+//   MockLLMProviderJS          - scripted responses for offline tests; never touches the network.
+//   CachingLLMProviderJS       - wraps another provider with a content-addressed response cache
+//                                keyed by model and request; `offline: true` replays only.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function normalizeCompletion(response, model) {
+    if (typeof response === 'string') {
+        return { content: response, tool_calls: [], finish_reason: 'stop', model };
+    }
+    const tool_calls = (response.tool_calls || []).map((call, index) => ({
+        id: call.id || `call_${index + 1}`,
+        name: call.name,
+        arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+    }));
+    return {
+        content: response.content ?? null,
+        tool_calls,
+        finish_reason: response.finish_reason || (tool_calls.length > 0 ? 'tool_calls' : 'stop'),
+        model: response.model || model
+    };
+}
+
+class OpenAICompatibleProviderJS {
+    // options: { apiKey, baseURL, client }. The OpenAI client is created on first use, so
+    // constructing the provider needs neither the package nor an API key.
+    constructor(options = {}) {
+        this.apiKey = options.apiKey;
+        this.baseURL = options.baseURL;
+        this.client = options.client || null;
+    }
+
+    _client() {
+        if (!this.client) {
+            const { OpenAI } = require('openai');
+            this.client = new OpenAI({ apiKey: this.apiKey, baseURL: this.baseURL });
+        }
+        return this.client;
+    }
+
+    async complete({ model, messages, temperature, tools }) {
+        const request = { model, messages };
+        if (temperature !== undefined) request.temperature = temperature;
+        if (tools && tools.length > 0) request.tools = tools;
+        const response = await this._client().chat.completions.create(request);
+        const choice = response.choices[0] || {};
+        const message = choice.message || {};
+        return normalizeCompletion({
+            content: message.content ?? null,
+            tool_calls: (message.tool_calls || []).map(call => ({
+                id: call.id,
+                name: call.function.name,
+                arguments: call.function.arguments
+            })),
+            finish_reason: choice.finish_reason,
+            model: response.model
+        }, model);
+    }
+
+    describe() {
+        return `openai-compatible provider (${this.baseURL || 'default base URL'})`;
+    }
+}
+
+class MockLLMProviderJS {
+    // options.responses: list consumed one per call; each entry is a string (assistant content),
+    //   { content, tool_calls: [{ id?, name, arguments }] }, or a function (request, call_index) -> entry.
+    // options.handler: (request, call_index) -> entry, used once responses are exhausted.
+    // Every request is kept in `requests` for assertions.
+    constructor(options = {}) {
+        this.responses = [...(options.responses || [])];
+        this.handler = options.handler || null;
+        this.requests = [];
+    }
+
+    async complete(request) {
+        const call_index = this.requests.length;
+        this.requests.push(JSON.parse(JSON.stringify(request)));
+        let entry;
+        if (this.responses.length > 0) {
+            entry = this.responses.shift();
+        } else if (this.handler) {
+            entry = this.handler;
+        } else {
+            throw new Error(`MockLLMProviderJS has no scripted response left for call ${call_index + 1}.`);
+        }
+        if (typeof entry === 'function') entry = await entry(request, call_index);
+        return normalizeCompletion(entry, request.model);
+    }
+
+    describe() {
+        return `mock provider (${this.responses.length} scripted response(s) left)`;
+    }
+}
+
+// Sorts object keys so the cache key does not depend on property order.
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function llmCacheKey({ model, messages, temperature, tools }) {
+    return crypto.createHash('sha256')
+        .update(canonicalJson({ model, messages, temperature, tools: tools && tools.length > 0 ? tools : undefined }))
+        .digest('hex');
+}
+
+class CachingLLMProviderJS {
+    // options.directory: persist entries as <key>.json files (created lazily); in memory otherwise.
+    // options.offline: never call the wrapped provider; a cache miss throws.
+    constructor(provider, options = {}) {
+        if (!provider && !options.offline) throw new Error('CachingLLMProviderJS needs a provider unless offline is set.');
+        this.provider = provider || null;
+        this.directory = options.directory || null;
+        this.offline = options.offline === true;
+        this.memory = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    _read(key) {
+        if (!this.directory) return this.memory.get(key) || null;
+        try {
+            return JSON.parse(fs.readFileSync(path.join(this.directory, `${key}.json`), 'utf-8')).response;
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+    }
+
+    _write(key, request, response) {
+        if (!this.directory) {
+            this.memory.set(key, response);
+            return;
+        }
+        fs.mkdirSync(this.directory, { recursive: true });
+        const entry = { key, model: request.model, cached_at: new Date().toISOString(), request, response };
+        fs.writeFileSync(path.join(this.directory, `${key}.json`), JSON.stringify(entry, null, 2));
+    }
+
+    async complete(request) {
+        const key = llmCacheKey(request);
+        const cached = this._read(key);
+        if (cached) {
+            this.hits++;
+            return { ...cached, cached: true };
+        }
+        this.misses++;
+        if (this.offline) {
+            throw new Error(`LLM cache miss for key ${key} (model ${request.model}) and the cache is offline.`);
+        }
+        const response = await this.provider.complete(request);
+        this._write(key, request, response);
+        return response;
+    }
+
+    describe() {
+        const backing = this.directory ? `directory ${this.directory}` : 'memory';
+        return `${this.offline ? 'offline ' : ''}cache in ${backing}${this.provider ? ` over ${this.provider.describe()}` : ''}`;
+    }
+}
+
+module.exports = {
+    OpenAICompatibleProviderJS,
+    MockLLMProviderJS,
+    CachingLLMProviderJS,
+    llmCacheKey
+};
@@ -0,0 +1,90 @@
+// FILE: llmProviders_js_v1.test.js v1
+// Run with `node --test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OpenAICompatibleProviderJS, MockLLMProviderJS, CachingLLMProviderJS, llmCacheKey } = require('./llmProviders_js_v1');
+
+const request = (content, extra = {}) => ({ model: 'test-model', messages: [{ role: 'user', content }], ...extra });
+
+test('MockLLMProviderJS: scripted responses, then the handler, then an error', async () => {
+    const provider = new MockLLMProviderJS({
+        responses: [
+            'plain text',
+            { tool_calls: [{ name: 'lookup', arguments: { q: 'x' } }] },
+            (req, call_index) => `call ${call_index} for ${req.messages[0].content}`
+        ],
+        handler: () => 'from handler'
+    });
+    assert.deepEqual(await provider.complete(request('a')), { content: 'plain text', tool_calls: [], finish_reason: 'stop', model: 'test-model' });
+    assert.deepEqual(await provider.complete(request('b')), {
+        content: null,
+        tool_calls: [{ id: 'call_1', name: 'lookup', arguments: '{"q":"x"}' }],
+        finish_reason: 'tool_calls',
+        model: 'test-model'
+    });
+    assert.equal((await provider.complete(request('c'))).content, 'call 2 for c');
+    assert.equal((await provider.complete(request('d'))).content, 'from handler');
+    assert.deepEqual(provider.requests.map(r => r.messages[0].content), ['a', 'b', 'c', 'd']);
+
+    await assert.rejects(new MockLLMProviderJS().complete(request('a')), /no scripted response left for call 1/);
+});
+
+test('OpenAICompatibleProviderJS: maps the chat-completions response', async () => {
+    const sent = [];
+    const client = {
+        chat: {
+            completions: {
+                create: async (req) => {
+                    sent.push(req);
+                    return {
+                        model: 'served-model',
+                        choices: [{
+                            finish_reason: 'tool_calls',
+                            message: { content: null, tool_calls: [{ id: 'abc', function: { name: 'f', arguments: '{"a":1}' } }] }
+                        }]
+                    };
+                }
+            }
+        }
+    };
+    const provider = new OpenAICompatibleProviderJS({ client });
+    const completion = await provider.complete(request('hi', { temperature: 0, tools: [] }));
+    assert.deepEqual(completion, { content: null, tool_calls: [{ id: 'abc', name: 'f', arguments: '{"a":1}' }], finish_reason: 'tool_calls', model: 'served-model' });
+    assert.deepEqual(sent, [{ model: 'test-model', messages: [{ role: 'user', content: 'hi' }], temperature: 0 }]);
+});
+
+test('llmCacheKey: ignores key order and empty tool lists, not content', () => {
+    const base = llmCacheKey(request('a', { temperature: 0 }));
+    assert.equal(llmCacheKey({ temperature: 0, messages: [{ content: 'a', role: 'user' }], model: 'test-model', tools: [] }), base);
+    assert.notEqual(llmCacheKey(request('b', { temperature: 0 })), base);
+    assert.notEqual(llmCacheKey(request('a', { temperature: 0.5 })), base);
+    assert.notEqual(llmCacheKey({ ...request('a', { temperature: 0 }), model: 'other' }), base);
+});
+
+test('CachingLLMProviderJS: replays cached responses from memory', async () => {
+    const inner = new MockLLMProviderJS({ handler: (req) => `answer to ${req.messages[0].content}` });
+    const cache = new CachingLLMProviderJS(inner);
+    assert.equal((await cache.complete(request('a'))).cached, undefined);
+    const replayed = await cache.complete(request('a'));
+    assert.equal(replayed.cached, true);
+    assert.equal(replayed.content, 'answer to a');
+    await cache.complete(request('b'));
+    assert.deepEqual([cache.hits, cache.misses, inner.requests.length], [1, 2, 2]);
+});
+
+test('CachingLLMProviderJS: a directory cache can be replayed offline', async (t) => {
+    const directory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'dynexec-llm-cache-')), 'cache');
+    t.after(() => fs.rmSync(path.dirname(directory), { recursive: true, force: true }));
+    const recording = new CachingLLMProviderJS(new MockLLMProviderJS({ responses: ['recorded'] }), { directory });
+    await recording.complete(request('a'));
+    assert.equal(fs.readdirSync(directory).length, 1);
+
+    const offline = new CachingLLMProviderJS(null, { directory, offline: true });
+    assert.equal((await offline.complete(request('a'))).content, 'recorded');
+    await assert.rejects(offline.complete(request('b')), /cache miss .* offline/);
+    assert.throws(() => new CachingLLMProviderJS(null), /needs a provider/);
+});
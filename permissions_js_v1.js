@@ -0,0 +1,158 @@
+// FILE: permissions_js_v1.js v1
+// Capability-based access from dynamic functions to host external_apis.
+//
+// A function's permissions are declared when it is created:
+//   {
+//     allowed_apis: {
+//       getWeather: {
+//         args_schema: { type: 'object', properties: { city: { type: 'string' } } },  // optional
+//         rate_limit: { max_calls: 10, window_ms: 60000 }                              // optional
+//       },
+//       logEvent: {}
+//     }
+//   }
+// `allowed_apis: ['getWeather', 'logEvent']` is shorthand for entries without constraints.
+// A rate_limit without window_ms limits the calls made during a single execution.
+// Every decision is reported through `on_audit`; PermissionAuditLogJS keeps the recent ones.
+//
+// Also loads as a classic <script> in the browser, after schemaValidator_js_v1.js, where it
+// attaches window.PermissionsJS.
+
+const MAX_PERMISSION_AUDIT_ENTRIES = 1000;
+
+const schemaValidatorJS = typeof module === 'object' && module.exports ? require('./schemaValidator_js_v1') : globalThis.SchemaValidatorJS;
+
+function normalizePermissions(permissions) {
+    if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+        throw new Error('permissions must be an object with an allowed_apis entry.');
+    }
+    let allowed = permissions.allowed_apis;
+    if (Array.isArray(allowed)) {
+        allowed = Object.fromEntries(allowed.map(name => [name, {}]));
+    }
+    if (!allowed || typeof allowed !== 'object') {
+        throw new Error('permissions.allowed_apis must be an array of API names or an object keyed by API name.');
+    }
+    const allowed_apis = Object.create(null);
+    for (const [apiName, rule] of Object.entries(allowed)) {
+        const normalizedRule = {};
+        if (rule && rule.args_schema !== undefined) {
+            if (typeof rule.args_schema !== 'object') throw new Error(`args_schema for ${apiName} must be a JSON schema object.`);
+            normalizedRule.args_schema = rule.args_schema;
+        }
+        if (rule && rule.rate_limit !== undefined) {
+            const { max_calls, window_ms } = rule.rate_limit;
+            if (!Number.isInteger(max_calls) || max_calls < 0) throw new Error(`rate_limit.max_calls for ${apiName} must be a non-negative integer.`);
+            if (window_ms !== undefined && !(window_ms > 0)) throw new Error(`rate_limit.window_ms for ${apiName} must be a positive number.`);
+            normalizedRule.rate_limit = window_ms !== undefined ? { max_calls, window_ms } : { max_calls };
+        }
+        allowed_apis[apiName] = normalizedRule;
+    }
+    return { allowed_apis };
+}
+
+// Sliding-window call counter shared by all executions of an executor.
+class ApiRateLimiterJS {
+    constructor() {
+        this.calls = new Map();
+    }
+
+    tryAcquire(key, max_calls, window_ms, now = Date.now()) {
+        const recent = (this.calls.get(key) || []).filter(timestamp => now - timestamp < window_ms);
+        if (recent.length >= max_calls) {
+            this.calls.set(key, recent);
+            return false;
+        }
+        recent.push(now);
+        this.calls.set(key, recent);
+        return true;
+    }
+}
+
+// Bounded log of permission decisions; denials are also written to console.warn.
+class PermissionAuditLogJS {
+    constructor(max_entries = MAX_PERMISSION_AUDIT_ENTRIES) {
+        this.max_entries = max_entries;
+        this.entries = [];
+    }
+
+    record(entry) {
+        this.entries.push({ timestamp: new Date().toISOString(), ...entry });
+        if (this.entries.length > this.max_entries) {
+            this.entries.shift();
+        }
+        if (!entry.allowed) {
+            console.warn(`[PERMISSION DENIED: ${entry.function_name}] external_apis.${entry.api_name} (${entry.reason}): ${entry.message}`);
+        }
+    }
+
+    // filters: { function_name, denied_only, limit }. Newest entries come last.
+    list(filters = {}) {
+        let entries = this.entries;
+        if (filters.function_name) entries = entries.filter(e => e.function_name === filters.function_name);
+        if (filters.denied_only) entries = entries.filter(e => !e.allowed);
+        if (filters.limit) entries = entries.slice(-filters.limit);
+        return entries.map(e => ({ ...e }));
+    }
+}
+
+// Builds the external_apis dictionary handed to one execution. Every host API name is
+// present; calls to APIs outside the allowlist, with arguments violating args_schema or
+// over their rate limit resolve to a JSON error string instead of reaching the host.
+// `permissions === null` means unrestricted access (functions stored without permissions).
+function createPermissionedApis({ function_name, permissions, external_apis, rate_limiter, on_audit }) {
+    const perExecutionCalls = new Map();
+    const guestApis = {};
+
+    const deny = (apiName, reason, message, details = {}) => {
+        on_audit({ function_name, api_name: apiName, allowed: false, reason, message });
+        return JSON.stringify({
+            success: false,
+            error: `Permission denied: ${message}`,
+            permission_denied: { function_name, api_name: apiName, reason, ...details }
+        });
+    };
+
+    for (const [apiName, apiFunction] of Object.entries(external_apis)) {
+        if (typeof apiFunction !== 'function') continue;
+        // Own entries only: stored permissions are parsed back into plain objects, and an API
+        // named `toString` or `constructor` must not be allowed by Object.prototype.
+        const rule = permissions === null ? {} : (Object.prototype.hasOwnProperty.call(permissions.allowed_apis, apiName) ? permissions.allowed_apis[apiName] : undefined);
+
+        guestApis[apiName] = async (args) => {
+            if (!rule) {
+                return deny(apiName, 'not_allowed', `function '${function_name}' is not allowed to call external_apis.${apiName}.`);
+            }
+            if (rule.args_schema) {
+                const violations = schemaValidatorJS.validateAgainstSchema(args, rule.args_schema);
+                if (violations.length > 0) {
+                    return deny(apiName, 'argument_constraint', `arguments for external_apis.${apiName} violate the constraints of '${function_name}'.`, { validation_errors: violations });
+                }
+            }
+            if (rule.rate_limit) {
+                const { max_calls, window_ms } = rule.rate_limit;
+                let withinLimit;
+                if (window_ms !== undefined) {
+                    withinLimit = rate_limiter.tryAcquire(`${function_name}:${apiName}`, max_calls, window_ms);
+                } else {
+                    const callCount = (perExecutionCalls.get(apiName) || 0) + 1;
+                    perExecutionCalls.set(apiName, callCount);
+                    withinLimit = callCount <= max_calls;
+                }
+                if (!withinLimit) {
+                    const scope = window_ms !== undefined ? `per ${window_ms} ms` : 'per execution';
+                    return deny(apiName, 'rate_limited', `external_apis.${apiName} is limited to ${max_calls} call(s) ${scope} for '${function_name}'.`, { rate_limit: rule.rate_limit });
+                }
+            }
+            on_audit({ function_name, api_name: apiName, allowed: true, reason: permissions === null ? 'unrestricted' : 'allowed' });
+            return apiFunction(args);
+        };
+    }
+    return Object.freeze(guestApis);
+}
+
+if (typeof module === 'object' && module.exports) {
+    module.exports = { normalizePermissions, ApiRateLimiterJS, PermissionAuditLogJS, createPermissionedApis };
+} else {
+    globalThis.PermissionsJS = { normalizePermissions, ApiRateLimiterJS, PermissionAuditLogJS, createPermissionedApis };
+}
@@ -0,0 +1,122 @@
+// FILE: permissions_js_v1.test.js v1
+// Run with `node --test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePermissions, ApiRateLimiterJS, PermissionAuditLogJS, createPermissionedApis } = require('./permissions_js_v1');
+
+function createApis(permissions, external_apis) {
+    const audit = [];
+    const apis = createPermissionedApis({
+        function_name: 'caller',
+        permissions: permissions === null ? null : normalizePermissions(permissions),
+        external_apis,
+        rate_limiter: new ApiRateLimiterJS(),
+        on_audit: (entry) => audit.push(entry)
+    });
+    return { apis, audit };
+}
+
+const denial = (result) => JSON.parse(result).permission_denied;
+
+test('normalizePermissions: accepts name lists and rule objects, rejects malformed rules', () => {
+    assert.deepEqual({ ...normalizePermissions({ allowed_apis: ['a', 'b'] }).allowed_apis }, { a: {}, b: {} });
+    assert.deepEqual(
+        { ...normalizePermissions({ allowed_apis: { a: { rate_limit: { max_calls: 2 } }, b: null } }).allowed_apis },
+        { a: { rate_limit: { max_calls: 2 } }, b: {} }
+    );
+    assert.throws(() => normalizePermissions(null), /allowed_apis/);
+    assert.throws(() => normalizePermissions({ allowed_apis: 'a' }), /allowed_apis/);
+    assert.throws(() => normalizePermissions({ allowed_apis: { a: { rate_limit: { max_calls: -1 } } } }), /max_calls/);
+    assert.throws(() => normalizePermissions({ allowed_apis: { a: { rate_limit: { max_calls: 1, window_ms: 0 } } } }), /window_ms/);
+    assert.throws(() => normalizePermissions({ allowed_apis: { a: { args_schema: 'string' } } }), /args_schema/);
+});
+
+test('calls outside the allowlist never reach the host', async () => {
+    const called = [];
+    const host = (name) => async () => { called.push(name); return name; };
+    const { apis, audit } = createApis({ allowed_apis: ['read'] }, { read: host('read'), write: host('write') });
+    assert.equal(await apis.read({}), 'read');
+    assert.equal(denial(await apis.write({})).reason, 'not_allowed');
+    assert.deepEqual(called, ['read']);
+    assert.deepEqual(audit.map(e => [e.api_name, e.allowed, e.reason]), [['read', true, 'allowed'], ['write', false, 'not_allowed']]);
+    assert.ok(Object.isFrozen(apis));
+});
+
+test('Object.prototype names are not allowed by inheritance', async () => {
+    const called = [];
+    const external_apis = {
+        toString: async () => { called.push('toString'); return 'host'; },
+        constructor: async () => { called.push('constructor'); return 'host'; },
+        hasOwnProperty: async () => { called.push('hasOwnProperty'); return 'host'; }
+    };
+    const parsed = JSON.parse(JSON.stringify(normalizePermissions({ allowed_apis: [] })));
+    const apis = createPermissionedApis({ function_name: 'caller', permissions: parsed, external_apis, rate_limiter: new ApiRateLimiterJS(), on_audit: () => {} });
+    for (const name of Object.keys(external_apis)) {
+        assert.equal(denial(await apis[name]({})).reason, 'not_allowed');
+    }
+    assert.deepEqual(called, []);
+
+    const proto = normalizePermissions(JSON.parse('{ "allowed_apis": { "__proto__": { "rate_limit": { "max_calls": 0 } } } }'));
+    assert.equal(Object.getPrototypeOf(proto.allowed_apis), null);
+    assert.deepEqual(Object.keys(proto.allowed_apis), ['__proto__']);
+});
+
+test('args_schema violations are denied with their validation errors', async () => {
+    const { apis } = createApis(
+        { allowed_apis: { move: { args_schema: { type: 'object', properties: { dx: { type: 'number', maximum: 5 } }, required: ['dx'] } } } },
+        { move: async (args) => `moved ${args.dx}` }
+    );
+    assert.equal(await apis.move({ dx: 5 }), 'moved 5');
+    const denied = denial(await apis.move({ dx: 6 }));
+    assert.equal(denied.reason, 'argument_constraint');
+    assert.equal(denied.validation_errors[0].path, '$.dx');
+    assert.equal(denial(await apis.move({})).reason, 'argument_constraint');
+});
+
+test('rate limits: per execution without window_ms, shared across executions with it', async () => {
+    const external_apis = { ping: async () => 'pong' };
+    const perExecution = normalizePermissions({ allowed_apis: { ping: { rate_limit: { max_calls: 1 } } } });
+    const rate_limiter = new ApiRateLimiterJS();
+    const build = (permissions) => createPermissionedApis({ function_name: 'caller', permissions, external_apis, rate_limiter, on_audit: () => {} });
+
+    const first = build(perExecution);
+    assert.equal(await first.ping(), 'pong');
+    assert.equal(denial(await first.ping()).reason, 'rate_limited');
+    assert.equal(await build(perExecution).ping(), 'pong');
+
+    const windowed = normalizePermissions({ allowed_apis: { ping: { rate_limit: { max_calls: 1, window_ms: 60000 } } } });
+    assert.equal(await build(windowed).ping(), 'pong');
+    assert.deepEqual(denial(await build(windowed).ping()).rate_limit, { max_calls: 1, window_ms: 60000 });
+});
+
+test('ApiRateLimiterJS: calls leave the window after window_ms', () => {
+    const limiter = new ApiRateLimiterJS();
+    assert.equal(limiter.tryAcquire('k', 2, 100, 0), true);
+    assert.equal(limiter.tryAcquire('k', 2, 100, 50), true);
+    assert.equal(limiter.tryAcquire('k', 2, 100, 99), false);
+    assert.equal(limiter.tryAcquire('k', 2, 100, 100), true);
+    assert.equal(limiter.tryAcquire('other', 2, 100, 100), true);
+});
+
+test('null permissions mean unrestricted access', async () => {
+    const { apis, audit } = createApis(null, { anything: async () => 'ok', notAFunction: 42 });
+    assert.equal(await apis.anything(), 'ok');
+    assert.equal(apis.notAFunction, undefined);
+    assert.equal(audit[0].reason, 'unrestricted');
+});
+
+test('PermissionAuditLogJS: keeps the newest entries and filters them', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const log = new PermissionAuditLogJS(3);
+    for (let i = 0; i < 5; i++) {
+        log.record({ function_name: i % 2 ? 'odd' : 'even', api_name: 'api', allowed: i !== 4, reason: String(i) });
+    }
+    assert.deepEqual(log.list().map(e => e.reason), ['2', '3', '4']);
+    assert.deepEqual(log.list({ function_name: 'even' }).map(e => e.reason), ['2', '4']);
+    assert.deepEqual(log.list({ denied_only: true }).map(e => e.reason), ['4']);
+    assert.deepEqual(log.list({ limit: 1 }).map(e => e.reason), ['4']);
+    assert.equal(console.warn.mock.callCount(), 1);
+    log.list()[0].reason = 'changed';
+    assert.equal(log.list()[0].reason, '2');
+});
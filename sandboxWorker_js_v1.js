@@ -0,0 +1,64 @@
+// FILE: sandboxWorker_js_v1.js v1
+// Worker-thread entry point for the 'worker' sandbox mode (see sandbox_js_v1.js).
+// Runs one guest call and reports a single 'done' message; the host terminates the
+// worker afterwards, which also disposes of any timers the guest left behind.
+
+const { parentPort, workerData } = require('worker_threads');
+const crypto = require('crypto');
+const { createGuestContext, startGuest, outcomeFromEnvelope, outcomeFromError } = require('./sandbox_js_v1');
+
+const { function_name, code_string, params_json, api_names_json, function_names_json, timeout_ms } = workerData;
+const pendingApiCalls = new Map();
+const timers = new Map();
+let nextCallId = 1;
+let runtime = null;
+
+parentPort.on('message', (message) => {
+    if (message.type === 'api_result') {
+        const resolveCall = pendingApiCalls.get(message.call_id);
+        pendingApiCalls.delete(message.call_id);
+        if (resolveCall) resolveCall(message.envelope);
+    }
+});
+
+const bridge = {
+    apiNamesJson: api_names_json,
+    functionNamesJson: function_names_json,
+    paramsJson: params_json,
+    callApi: (apiName, argsJson) => new Promise(resolve => {
+        const call_id = nextCallId++;
+        pendingApiCalls.set(call_id, resolve);
+        parentPort.postMessage({ type: 'api_call', call_id, api_name: apiName, args_json: argsJson });
+    }),
+    callFunction: (functionName, paramsJson) => new Promise(resolve => {
+        const call_id = nextCallId++;
+        pendingApiCalls.set(call_id, resolve);
+        parentPort.postMessage({ type: 'function_call', call_id, function_name: functionName, params_json: paramsJson });
+    }),
+    log: (level, message) => parentPort.postMessage({ type: 'console', level, message: String(message) }),
+    uuid: () => crypto.randomUUID(),
+    setTimer: (id, delay, repeat) => {
+        const fire = () => {
+            if (!repeat) timers.delete(id);
+            if (runtime) runtime.fireTimer(id);
+        };
+        timers.set(id, repeat ? setInterval(fire, delay) : setTimeout(fire, delay));
+    },
+    clearTimer: (id) => {
+        clearTimeout(timers.get(id));
+        clearInterval(timers.get(id));
+        timers.delete(id);
+    }
+};
+
+(async () => {
+    let outcome;
+    try {
+        const started = startGuest(createGuestContext(), bridge, { function_name, code_string, timeout_ms });
+        runtime = started.runtime;
+        outcome = outcomeFromEnvelope(await started.resultPromise);
+    } catch (error) {
+        outcome = outcomeFromError(error, { timeout_ms });
+    }
+    parentPort.postMessage({ type: 'done', outcome });
+})();
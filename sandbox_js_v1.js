@@ -0,0 +1,333 @@
+// FILE: sandbox_js_v1.js v1
+// Sandboxed execution of generated guest code for DynamicExecutorJS.
+//
+// Two modes share the same guest runtime:
+//   'worker' - runs in a vm context inside a worker thread (DynamicExecutorJS's default). The
+//              host enforces a wall-clock deadline covering async work by terminating the
+//              worker, and the worker gets a V8 heap cap.
+//   'vm'     - runs in a vm context of the host process. Cheap, but only the synchronous
+//              start of a call can be preempted; no memory cap. A guest that keeps looping
+//              across awaits (`while (true) await null;`) is never stopped and hangs the host
+//              process despite timeout_ms, so use it only for trusted code.
+//
+// The guest never receives host-realm objects: host capabilities are reached through a
+// bridge captured in a closure of the guest runtime and only exchange primitives and JSON
+// strings. Other stored functions are reached the same way through the `functions` namespace;
+// the host decides what a call does (see DynamicExecutorJS._build_guest_functions).
+// All runners resolve to an outcome object instead of throwing:
+//   { ok: true, result, result_type, unserializable }
+//   { ok: false, error_message, stack, limit_exceeded: 'timeout' | 'memory' | undefined, limit }
+
+const vm = require('vm');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { v4: uuidv4 } = require('uuid');
+const { invokeHostApi } = require('./executorShared_js_v1');
+
+const SANDBOX_WORKER_FILE = path.join(__dirname, 'sandboxWorker_js_v1.js');
+
+// Evaluated inside the guest context. Receives the host bridge and installs the guest
+// globals (external_apis, functions, console, uuidv4, timers) as frozen, non-writable bindings.
+const GUEST_RUNTIME_SOURCE = `(function (bridge) {
+    'use strict';
+    const callApi = bridge.callApi;
+    const callFunction = bridge.callFunction;
+    const hostLog = bridge.log;
+    const newUuid = bridge.uuid;
+    const setHostTimer = bridge.setTimer;
+    const clearHostTimer = bridge.clearTimer;
+    const apiNames = JSON.parse(bridge.apiNamesJson);
+    const functionNames = JSON.parse(bridge.functionNamesJson);
+    const paramsJson = bridge.paramsJson;
+    const timerCallbacks = new Map();
+    let nextTimerId = 1;
+
+    const external_apis = {};
+    for (const apiName of apiNames) {
+        external_apis[apiName] = async function (args) {
+            let argsJson;
+            try {
+                argsJson = JSON.stringify(args === undefined ? null : args);
+            } catch (e) {
+                throw new Error('Arguments for external_apis.' + apiName + ' must be JSON-serializable: ' + e.message);
+            }
+            const envelope = JSON.parse(await callApi(apiName, argsJson));
+            if (!envelope.ok) throw new Error(envelope.error);
+            return envelope.value;
+        };
+    }
+
+    const functions = {};
+    for (const functionName of functionNames) {
+        functions[functionName] = async function (params) {
+            let paramsJson;
+            try {
+                paramsJson = JSON.stringify(params === undefined ? {} : params);
+            } catch (e) {
+                throw new Error('Params for functions.' + functionName + ' must be JSON-serializable: ' + e.message);
+            }
+            const envelope = JSON.parse(await callFunction(functionName, paramsJson));
+            if (!envelope.ok) throw new Error(envelope.error);
+            return envelope.value;
+        };
+    }
+
+    const makeLogger = (level) => (...args) => hostLog(level, args.map(String).join(' '));
+
+    function addTimer(callback, delay, args, repeat) {
+        if (typeof callback !== 'function') throw new TypeError('Timer callback must be a function.');
+        const id = nextTimerId++;
+        timerCallbacks.set(id, { callback, args, repeat });
+        setHostTimer(id, Math.max(0, Number(delay) || 0), repeat);
+        return id;
+    }
+
+    function removeTimer(id) {
+        if (timerCallbacks.delete(id)) clearHostTimer(id);
+    }
+
+    function fireTimer(id) {
+        const timer = timerCallbacks.get(id);
+        if (!timer) return;
+        if (!timer.repeat) timerCallbacks.delete(id);
+        try {
+            timer.callback(...timer.args);
+        } catch (e) {
+            hostLog('error', 'Uncaught error in timer callback: ' + (e && e.message));
+        }
+    }
+
+    const globals = {
+        external_apis: Object.freeze(external_apis),
+        functions: Object.freeze(functions),
+        uuidv4: () => newUuid(),
+        console: Object.freeze({ log: makeLogger('log'), info: makeLogger('log'), warn: makeLogger('warn'), error: makeLogger('error') }),
+        setTimeout: (callback, delay, ...args) => addTimer(callback, delay, args, false),
+        setInterval: (callback, delay, ...args) => addTimer(callback, delay, args, true),
+        clearTimeout: removeTimer,
+        clearInterval: removeTimer
+    };
+    for (const [name, value] of Object.entries(globals)) {
+        Object.defineProperty(globalThis, name, { value, writable: false, configurable: false, enumerable: true });
+    }
+
+    async function run(guestFunction) {
+        const result = await guestFunction(JSON.parse(paramsJson));
+        if (typeof result === 'string') return JSON.stringify({ result_type: 'string', result });
+        let serialized;
+        try {
+            serialized = JSON.stringify(result);
+        } catch (e) {
+            serialized = undefined;
+        }
+        if (serialized === undefined) return JSON.stringify({ result_type: typeof result, unserializable: true });
+        return JSON.stringify({ result_type: typeof result, result: serialized });
+    }
+
+    Object.defineProperty(globalThis, '__dynamicExecutorStart', {
+        configurable: true,
+        value: function (guestFunction) {
+            delete globalThis.__dynamicExecutorStart;
+            return run(guestFunction);
+        }
+    });
+    return Object.freeze({ fireTimer });
+})`;
+
+function createGuestContext() {
+    return vm.createContext(Object.create(null), {
+        name: 'DynamicExecutorJS guest',
+        codeGeneration: { strings: false, wasm: false }
+    });
+}
+
+// Defines the guest function and starts it in one script, so the vm timeout covers both the
+// definition and the synchronous part of the call. Returns the runtime and the guest's promise.
+function startGuest(context, bridge, { function_name, code_string, timeout_ms }) {
+    const runtime = vm.runInContext(GUEST_RUNTIME_SOURCE, context)(bridge);
+    const entrySource = `
+        (function () {
+            ${code_string}
+            if (typeof ${function_name} !== 'function') {
+                throw new Error('Generated code did not define a callable function named ${function_name}. Typeof: ' + typeof ${function_name});
+            }
+            return __dynamicExecutorStart(${function_name});
+        })()
+    `;
+    const resultPromise = vm.runInContext(entrySource, context, {
+        filename: `dynamic_func_${function_name}.js`,
+        timeout: timeout_ms
+    });
+    return { runtime, resultPromise };
+}
+
+function outcomeFromEnvelope(envelopeJson) {
+    return { ok: true, ...JSON.parse(envelopeJson) };
+}
+
+function outcomeFromError(error, limits) {
+    if (error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        return timeoutOutcome(limits.timeout_ms);
+    }
+    return {
+        ok: false,
+        error_message: error && error.message ? error.message : String(error),
+        stack: error && error.stack ? error.stack : null
+    };
+}
+
+function timeoutOutcome(timeout_ms) {
+    return {
+        ok: false,
+        error_message: `Execution exceeded the wall-clock limit of ${timeout_ms} ms.`,
+        limit_exceeded: 'timeout',
+        limit: timeout_ms
+    };
+}
+
+// options: { function_name, code_string, params, external_apis, functions, timeout_ms, on_console(level, message) }
+// `functions` maps stored function names to async (params) => string result.
+async function runInVmSandbox(options) {
+    const { function_name, code_string, params, on_console, timeout_ms } = options;
+    const external_apis = Object.freeze({ ...options.external_apis });
+    const functions = Object.freeze({ ...(options.functions || {}) });
+    const hostTimers = new Map();
+    let finished = false;
+    let runtime = null;
+
+    const clearHostTimers = () => {
+        for (const [id, timer] of hostTimers) {
+            clearTimeout(timer);
+            clearInterval(timer);
+            hostTimers.delete(id);
+        }
+    };
+    const bridge = {
+        apiNamesJson: JSON.stringify(Object.keys(external_apis)),
+        functionNamesJson: JSON.stringify(Object.keys(functions)),
+        paramsJson: JSON.stringify(params),
+        callApi: (apiName, argsJson) => finished
+            ? Promise.resolve(JSON.stringify({ ok: false, error: 'The function call has already finished.' }))
+            : invokeHostApi(external_apis, apiName, argsJson),
+        callFunction: (functionName, paramsJson) => finished
+            ? Promise.resolve(JSON.stringify({ ok: false, error: 'The function call has already finished.' }))
+            : invokeHostApi(functions, functionName, paramsJson, 'functions'),
+        log: (level, message) => on_console(level, String(message)),
+        uuid: () => uuidv4(),
+        setTimer: (id, delay, repeat) => {
+            if (finished) return;
+            const fire = () => {
+                if (!repeat) hostTimers.delete(id);
+                if (runtime) runtime.fireTimer(id);
+            };
+            hostTimers.set(id, repeat ? setInterval(fire, delay) : setTimeout(fire, delay));
+        },
+        clearTimer: (id) => {
+            const timer = hostTimers.get(id);
+            if (timer === undefined) return;
+            clearTimeout(timer);
+            clearInterval(timer);
+            hostTimers.delete(id);
+        }
+    };
+
+    let deadlineTimer = null;
+    try {
+        const started = startGuest(createGuestContext(), bridge, { function_name, code_string, timeout_ms });
+        runtime = started.runtime;
+        const deadline = new Promise(resolve => {
+            deadlineTimer = setTimeout(() => resolve(null), timeout_ms);
+        });
+        const envelopeJson = await Promise.race([started.resultPromise, deadline]);
+        if (envelopeJson === null) return timeoutOutcome(timeout_ms);
+        return outcomeFromEnvelope(envelopeJson);
+    } catch (error) {
+        return outcomeFromError(error, { timeout_ms });
+    } finally {
+        finished = true;
+        clearTimeout(deadlineTimer);
+        clearHostTimers();
+    }
+}
+
+// options: as for runInVmSandbox, plus memory_mb (V8 old-generation heap cap for the worker).
+function runInWorkerSandbox(options) {
+    const { function_name, code_string, params, on_console, timeout_ms, memory_mb } = options;
+    const external_apis = Object.freeze({ ...options.external_apis });
+    const functions = Object.freeze({ ...(options.functions || {}) });
+
+    return new Promise(resolve => {
+        let settled = false;
+        let worker;
+        try {
+            worker = new Worker(SANDBOX_WORKER_FILE, {
+                workerData: {
+                    function_name,
+                    code_string,
+                    params_json: JSON.stringify(params),
+                    api_names_json: JSON.stringify(Object.keys(external_apis)),
+                    function_names_json: JSON.stringify(Object.keys(functions)),
+                    timeout_ms
+                },
+                resourceLimits: {
+                    maxOldGenerationSizeMb: memory_mb,
+                    maxYoungGenerationSizeMb: Math.max(4, Math.ceil(memory_mb / 8)),
+                    stackSizeMb: 4
+                },
+                stdout: true,
+                stderr: true
+            });
+        } catch (error) {
+            resolve(outcomeFromError(error, { timeout_ms }));
+            return;
+        }
+
+        const finish = (outcome) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(deadlineTimer);
+            worker.terminate();
+            resolve(outcome);
+        };
+        const deadlineTimer = setTimeout(() => finish(timeoutOutcome(timeout_ms)), timeout_ms);
+
+        worker.on('message', async (message) => {
+            if (message.type === 'api_call') {
+                const envelope = await invokeHostApi(external_apis, message.api_name, message.args_json);
+                if (!settled) worker.postMessage({ type: 'api_result', call_id: message.call_id, envelope });
+            } else if (message.type === 'function_call') {
+                const envelope = await invokeHostApi(functions, message.function_name, message.params_json, 'functions');
+                if (!settled) worker.postMessage({ type: 'api_result', call_id: message.call_id, envelope });
+            } else if (message.type === 'console') {
+                on_console(message.level, message.message);
+            } else if (message.type === 'done') {
+                finish(message.outcome);
+            }
+        });
+        worker.on('error', (error) => {
+            if (error && error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+                finish({
+                    ok: false,
+                    error_message: `Execution exceeded the memory limit of ${memory_mb} MB.`,
+                    limit_exceeded: 'memory',
+                    limit: memory_mb
+                });
+            } else {
+                finish(outcomeFromError(error, { timeout_ms }));
+            }
+        });
+        worker.on('exit', (code) => {
+            finish({ ok: false, error_message: `Sandbox worker exited unexpectedly with code ${code}.`, stack: null });
+        });
+    });
+}
+
+module.exports = {
+    GUEST_RUNTIME_SOURCE,
+    createGuestContext,
+    startGuest,
+    outcomeFromEnvelope,
+    outcomeFromError,
+    runInVmSandbox,
+    runInWorkerSandbox
+};
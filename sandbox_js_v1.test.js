@@ -0,0 +1,98 @@
+// FILE: sandbox_js_v1.test.js v1
+// Run with `node --test` (needs uuid).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runInVmSandbox, runInWorkerSandbox } = require('./sandbox_js_v1');
+
+const runners = { vm: runInVmSandbox, worker: runInWorkerSandbox };
+
+function run(runner, body, options = {}) {
+    return runner({
+        function_name: 'guest',
+        code_string: `async function guest(params) { ${body} }`,
+        params: {},
+        external_apis: {},
+        timeout_ms: 500,
+        on_console: () => {},
+        ...options
+    });
+}
+
+for (const [mode, runner] of Object.entries(runners)) {
+    test(`${mode}: results, non-string results and errors become outcomes`, async () => {
+        assert.deepEqual(await run(runner, 'return "hi " + params.who;', { params: { who: 'Ada' } }), { ok: true, result_type: 'string', result: 'hi Ada' });
+        assert.deepEqual(await run(runner, 'return { n: 1 };'), { ok: true, result_type: 'object', result: '{"n":1}' });
+        assert.deepEqual(await run(runner, 'return 10n;'), { ok: true, result_type: 'bigint', unserializable: true });
+        const failed = await run(runner, 'throw new Error("boom");');
+        assert.equal(failed.ok, false);
+        assert.equal(failed.error_message, 'boom');
+        assert.match((await run(runner, 'return 1;', { code_string: 'const other = 1;' })).error_message, /did not define a callable function/);
+    });
+
+    test(`${mode}: a synchronous loop is stopped at timeout_ms`, async () => {
+        const started = Date.now();
+        const outcome = await run(runner, 'while (true) {}', { timeout_ms: 200 });
+        assert.equal(outcome.limit_exceeded, 'timeout');
+        assert.equal(outcome.limit, 200);
+        assert.ok(Date.now() - started < 5000);
+    });
+
+    test(`${mode}: pending async work counts against timeout_ms`, async () => {
+        const outcome = await run(runner, 'await new Promise(resolve => setTimeout(resolve, 5000)); return "late";', { timeout_ms: 200 });
+        assert.equal(outcome.limit_exceeded, 'timeout');
+    });
+
+    test(`${mode}: guest code sees no host realm objects`, async () => {
+        const outcome = await run(runner, `return JSON.stringify({
+            process: typeof process, require: typeof require, Buffer: typeof Buffer,
+            apis_frozen: Object.isFrozen(external_apis), console_frozen: Object.isFrozen(console)
+        });`);
+        assert.deepEqual(JSON.parse(outcome.result), { process: 'undefined', require: 'undefined', Buffer: 'undefined', apis_frozen: true, console_frozen: true });
+        for (const escape of [
+            'return String(this.constructor.constructor("return process")());',
+            'return String((async () => {}).constructor("return 1"));',
+            'return String(eval("1 + 1"));',
+            'return String(external_apis.constructor.constructor("return process")());'
+        ]) {
+            const escaped = await run(runner, escape);
+            assert.equal(escaped.ok, false, escape);
+            assert.match(escaped.error_message, /Code generation from strings disallowed/, escape);
+        }
+        const overwritten = await run(runner, '"use strict"; external_apis = {}; return "x";');
+        assert.equal(overwritten.ok, false);
+    });
+
+    test(`${mode}: external_apis and functions are reached through the JSON bridge`, async () => {
+        const seen = [];
+        const outcome = await run(runner, `
+            const value = await external_apis.lookup({ key: params.key });
+            let failure = null;
+            try { await external_apis.broken(); } catch (e) { failure = e.message; }
+            const nested = await functions.helper({ x: 1 });
+            console.log('looked up', value.found);
+            return JSON.stringify({ value, failure, nested });
+        `, {
+            params: { key: 'k' },
+            external_apis: {
+                lookup: async (args) => { seen.push(args); return { found: args.key }; },
+                broken: async () => { throw new Error('host failure'); }
+            },
+            functions: { helper: async (params) => `helper ${params.x}` },
+            on_console: (level, message) => seen.push([level, message])
+        });
+        assert.deepEqual(JSON.parse(outcome.result), { value: { found: 'k' }, failure: 'host failure', nested: 'helper 1' });
+        assert.deepEqual(seen, [{ key: 'k' }, ['log', 'looked up k']]);
+    });
+}
+
+test('worker: a loop across awaits is stopped too', async () => {
+    const outcome = await run(runInWorkerSandbox, 'while (true) { await null; }', { timeout_ms: 200 });
+    assert.equal(outcome.limit_exceeded, 'timeout');
+});
+
+test('worker: memory_mb caps the guest heap', async () => {
+    const outcome = await run(runInWorkerSandbox, 'const chunks = []; while (true) { chunks.push(new Array(1e6).fill(chunks.length)); }', { timeout_ms: 20000, memory_mb: 32 });
+    assert.equal(outcome.ok, false);
+    assert.equal(outcome.limit_exceeded, 'memory');
+});
@@ -0,0 +1,181 @@
+// FILE: schemaValidator_js_v1.js v1
+// Minimal JSON-Schema validator used to guard the inputs and outputs of dynamic functions.
+//
+// Supported keywords: type, enum, const, properties, required, additionalProperties,
+// minProperties, maxProperties, items (schema or tuple), additionalItems, minItems, maxItems,
+// uniqueItems, minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf,
+// minLength, maxLength, pattern, allOf, anyOf, oneOf, not.
+// Unknown keywords (description, title, default, format, $schema, ...) are ignored.
+//
+// validateAgainstSchema() never throws on invalid data; it returns every violation
+// as { path, message }, with paths written like `$.items[2].name`. A pattern that is not a
+// valid regular expression is reported as a violation of every string it is applied to.
+//
+// Also loads as a classic <script> in the browser, where it attaches window.SchemaValidatorJS.
+
+function typeOfJsonValue(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, expectedType) {
+    const actual = typeOfJsonValue(value);
+    if (expectedType === 'number') return actual === 'number' || actual === 'integer';
+    return actual === expectedType;
+}
+
+function isDeepEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function childPath(path, key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function validateAgainstSchema(value, schema, path = '$') {
+    const errors = [];
+    if (schema === true || schema === undefined || schema === null) return errors;
+    if (schema === false) {
+        errors.push({ path, message: 'no value is allowed here' });
+        return errors;
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t))) {
+            errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOfJsonValue(value)}` });
+            return errors;
+        }
+    }
+    if (schema.enum !== undefined && !schema.enum.some(option => isDeepEqual(option, value))) {
+        errors.push({ path, message: `must be one of ${JSON.stringify(schema.enum)}` });
+    }
+    if (schema.const !== undefined && !isDeepEqual(schema.const, value)) {
+        errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+    }
+
+    const valueType = typeOfJsonValue(value);
+    if (valueType === 'object') validateObject(value, schema, path, errors);
+    if (valueType === 'array') validateArray(value, schema, path, errors);
+    if (valueType === 'number' || valueType === 'integer') validateNumber(value, schema, path, errors);
+    if (valueType === 'string') validateString(value, schema, path, errors);
+
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach(subSchema => errors.push(...validateAgainstSchema(value, subSchema, path)));
+    }
+    if (Array.isArray(schema.anyOf)) {
+        if (!schema.anyOf.some(subSchema => validateAgainstSchema(value, subSchema, path).length === 0)) {
+            errors.push({ path, message: 'does not match any of the allowed schemas (anyOf)' });
+        }
+    }
+    if (Array.isArray(schema.oneOf)) {
+        const matching = schema.oneOf.filter(subSchema => validateAgainstSchema(value, subSchema, path).length === 0).length;
+        if (matching !== 1) {
+            errors.push({ path, message: `must match exactly one schema (oneOf), matched ${matching}` });
+        }
+    }
+    if (schema.not !== undefined && validateAgainstSchema(value, schema.not, path).length === 0) {
+        errors.push({ path, message: 'must not match the schema in "not"' });
+    }
+    return errors;
+}
+
+function validateObject(value, schema, path, errors) {
+    const properties = schema.properties || {};
+    for (const requiredKey of schema.required || []) {
+        if (value[requiredKey] === undefined) {
+            errors.push({ path: childPath(path, requiredKey), message: 'is required' });
+        }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+        if (propertyValue === undefined) continue;
+        if (Object.prototype.hasOwnProperty.call(properties, key)) {
+            errors.push(...validateAgainstSchema(propertyValue, properties[key], childPath(path, key)));
+        } else if (schema.additionalProperties === false) {
+            errors.push({ path: childPath(path, key), message: 'is not an allowed property' });
+        } else if (typeof schema.additionalProperties === 'object') {
+            errors.push(...validateAgainstSchema(propertyValue, schema.additionalProperties, childPath(path, key)));
+        }
+    }
+    const count = Object.keys(value).length;
+    if (schema.minProperties !== undefined && count < schema.minProperties) {
+        errors.push({ path, message: `must have at least ${schema.minProperties} properties` });
+    }
+    if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+        errors.push({ path, message: `must have at most ${schema.maxProperties} properties` });
+    }
+}
+
+function validateArray(value, schema, path, errors) {
+    if (Array.isArray(schema.items)) {
+        schema.items.forEach((itemSchema, index) => {
+            if (index < value.length) errors.push(...validateAgainstSchema(value[index], itemSchema, `${path}[${index}]`));
+        });
+        if (schema.additionalItems === false && value.length > schema.items.length) {
+            errors.push({ path, message: `must have at most ${schema.items.length} items` });
+        } else if (typeof schema.additionalItems === 'object') {
+            value.slice(schema.items.length).forEach((item, offset) => {
+                errors.push(...validateAgainstSchema(item, schema.additionalItems, `${path}[${schema.items.length + offset}]`));
+            });
+        }
+    } else if (schema.items !== undefined) {
+        value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems === true) {
+        const seen = new Set(value.map(item => JSON.stringify(item)));
+        if (seen.size !== value.length) errors.push({ path, message: 'items must be unique' });
+    }
+}
+
+function validateNumber(value, schema, path, errors) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+        errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+        errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+    if (schema.multipleOf !== undefined && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+        errors.push({ path, message: `must be a multiple of ${schema.multipleOf}` });
+    }
+}
+
+function validateString(value, schema, path, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push({ path, message: `must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern !== undefined) {
+        let pattern;
+        try {
+            pattern = new RegExp(schema.pattern);
+        } catch (e) {
+            errors.push({ path, message: `cannot be checked: the schema's pattern ${schema.pattern} is not a valid regular expression (${e.message})` });
+            return;
+        }
+        if (!pattern.test(value)) {
+            errors.push({ path, message: `must match pattern ${schema.pattern}` });
+        }
+    }
+}
+
+if (typeof module === 'object' && module.exports) {
+    module.exports = { validateAgainstSchema };
+} else {
+    globalThis.SchemaValidatorJS = { validateAgainstSchema };
+}
@@ -0,0 +1,74 @@
+// FILE: schemaValidator_js_v1.test.js v1
+// Run with `node --test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAgainstSchema } = require('./schemaValidator_js_v1');
+
+const paths = (value, schema) => validateAgainstSchema(value, schema).map(e => e.path);
+
+test('type, enum and const', () => {
+    assert.deepEqual(validateAgainstSchema(3, { type: 'integer' }), []);
+    assert.deepEqual(validateAgainstSchema(3, { type: 'number' }), []);
+    assert.deepEqual(validateAgainstSchema(3.5, { type: 'integer' }), [{ path: '$', message: 'expected integer, got number' }]);
+    assert.deepEqual(validateAgainstSchema(null, { type: ['string', 'null'] }), []);
+    assert.equal(validateAgainstSchema([], { type: 'object' }).length, 1);
+    assert.deepEqual(validateAgainstSchema({ a: 1 }, { enum: [{ a: 1 }, 'x'] }), []);
+    assert.equal(validateAgainstSchema('y', { enum: ['x'] }).length, 1);
+    assert.equal(validateAgainstSchema(2, { const: 1 }).length, 1);
+    assert.deepEqual(validateAgainstSchema('anything', true), []);
+    assert.equal(validateAgainstSchema('anything', false).length, 1);
+});
+
+test('objects: required, properties, additionalProperties and property counts', () => {
+    const schema = {
+        type: 'object',
+        properties: { name: { type: 'string' }, 'first name': { type: 'string' } },
+        required: ['name'],
+        additionalProperties: false,
+        maxProperties: 2
+    };
+    assert.deepEqual(paths({ name: 'a' }, schema), []);
+    assert.deepEqual(paths({}, schema), ['$.name']);
+    assert.deepEqual(paths({ name: 1, 'first name': 2 }, schema), ['$.name', '$["first name"]']);
+    assert.deepEqual(paths({ name: 'a', extra: 1 }, schema), ['$.extra']);
+    assert.deepEqual(paths({ name: 'a', toString: 'x' }, { properties: { name: { type: 'string' } }, additionalProperties: false }), ['$.toString']);
+    assert.deepEqual(paths({ a: 1, b: 'x' }, { additionalProperties: { type: 'number' }, minProperties: 3 }), ['$.b', '$']);
+});
+
+test('arrays: items, tuples, lengths and uniqueness', () => {
+    assert.deepEqual(paths([1, 'x', 3], { items: { type: 'number' } }), ['$[1]']);
+    assert.deepEqual(paths([1, 'x', true], { items: [{ type: 'number' }, { type: 'string' }], additionalItems: false }), ['$']);
+    assert.deepEqual(paths([1, 'x', 'y'], { items: [{ type: 'number' }], additionalItems: { type: 'number' } }), ['$[1]', '$[2]']);
+    assert.deepEqual(paths([], { minItems: 1 }), ['$']);
+    assert.deepEqual(paths([1, 2, 3], { maxItems: 2 }), ['$']);
+    assert.deepEqual(paths([{ a: 1 }, { a: 1 }], { uniqueItems: true }), ['$']);
+});
+
+test('numbers and strings', () => {
+    assert.equal(validateAgainstSchema(5, { minimum: 5, maximum: 5 }).length, 0);
+    assert.equal(validateAgainstSchema(5, { exclusiveMinimum: 5 }).length, 1);
+    assert.equal(validateAgainstSchema(5, { exclusiveMaximum: 5 }).length, 1);
+    assert.equal(validateAgainstSchema(0.3, { multipleOf: 0.1 }).length, 0);
+    assert.equal(validateAgainstSchema(0.35, { multipleOf: 0.1 }).length, 1);
+    assert.equal(validateAgainstSchema('ab', { minLength: 3 }).length, 1);
+    assert.equal(validateAgainstSchema('abcd', { maxLength: 3 }).length, 1);
+    assert.deepEqual(validateAgainstSchema('abc', { pattern: '^a' }), []);
+    assert.deepEqual(validateAgainstSchema('xbc', { pattern: '^a' }), [{ path: '$', message: 'must match pattern ^a' }]);
+});
+
+test('an invalid pattern is a violation, not an exception', () => {
+    const errors = validateAgainstSchema({ code: 'abc' }, { properties: { code: { type: 'string', pattern: '([a-z' } } });
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].path, '$.code');
+    assert.match(errors[0].message, /not a valid regular expression/);
+    assert.deepEqual(validateAgainstSchema(1, { pattern: '([a-z' }), []);
+});
+
+test('allOf, anyOf, oneOf and not', () => {
+    assert.equal(validateAgainstSchema(4, { allOf: [{ minimum: 1 }, { maximum: 3 }] }).length, 1);
+    assert.equal(validateAgainstSchema('x', { anyOf: [{ type: 'number' }, { type: 'string' }] }).length, 0);
+    assert.equal(validateAgainstSchema(true, { anyOf: [{ type: 'number' }, { type: 'string' }] }).length, 1);
+    assert.match(validateAgainstSchema(3, { oneOf: [{ type: 'number' }, { type: 'integer' }] })[0].message, /matched 2/);
+    assert.equal(validateAgainstSchema('x', { not: { type: 'string' } }).length, 1);
+});
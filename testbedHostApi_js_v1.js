@@ -0,0 +1,86 @@
+// FILE: testbedHostApi_js_v1.js v1
+// The external_apis contract of the physics testbed (index.html) for bot behaviors.
+// index.html implements these APIs against the live Rapier world; this module carries the
+// description the generator sees and canned mock implementations, so it can be passed to
+// `dynexec --host-apis` when creating behaviors:
+//
+//   dynexec create patrolBehavior --host-apis testbedHostApi_js_v1.js \
+//       --description "Walk back and forth along x between -5 and 5" \
+//       --schema-json '{"type":"object","properties":{"bot_index":{"type":"integer"},"delta_time":{"type":"number"},"frame":{"type":"integer"}},"required":["bot_index"]}'
+//   dynexec get patrolBehavior > patrolBehavior.json     (drop the file on the testbed page)
+//
+// A behavior is called once per simulation tick for the bot it is attached to, with
+// BOT_BEHAVIOR_PARAMETERS_SCHEMA params. A tick that has not finished by the next one is not restarted.
+
+const TESTBED_HOST_API_NAMES = ['getBots', 'getPidCharacter', 'castRay', 'setBotTargetVelocity', 'applyBotImpulse', 'setPidCharacterTarget'];
+
+const BOT_BEHAVIOR_PARAMETERS_SCHEMA = {
+    type: 'object',
+    properties: {
+        bot_index: { type: 'integer', description: 'Index of the bot this tick is for (see getBots).' },
+        delta_time: { type: 'number', description: 'Seconds simulated since the previous tick.' },
+        frame: { type: 'integer', description: 'Simulation frame number.' }
+    },
+    required: ['bot_index']
+};
+
+const TESTBED_HOST_API_DESCRIPTION = `Physics testbed host APIs. Units are metres, seconds and metres/second; y is up. Vectors are { x, y, z } objects.
+The function is one tick of a bot behavior: it reads the scene, issues commands for its bot and returns a short status string.
+Commands take effect on the next physics step; a bot keeps its last target velocity until it is changed.
+Every API resolves to a JSON string: \`JSON.parse\` it. The shapes below are those of the parsed value.
+- external_apis.getBots() -> [{ index, name, position, velocity, on_ground, player_controlled }]. Bots are balls of radius 0.5. A player_controlled bot ignores commands.
+- external_apis.getPidCharacter() -> { position, velocity } of the PID-controlled character, or null when it is not in the scene.
+- external_apis.castRay({ origin, direction, max_distance = 100, exclude_bot_index }) -> { hit: false } or { hit: true, distance, point, normal, body_name, bot_index }. direction need not be normalized; bot_index is null unless a bot was hit.
+- external_apis.setBotTargetVelocity({ bot_index, x, z }) -> { success, target_velocity: { x, z } }. Horizontal velocity the bot accelerates towards while on the ground; the speed is capped at 4.5.
+- external_apis.applyBotImpulse({ bot_index, x, y, z }) -> { success, velocity_change }. Instant velocity change (e.g. y: 5 to jump); each component is capped at +/-10.
+- external_apis.setPidCharacterTarget({ x, y, z }) -> { success }. World-space direction the PID character moves in (length is capped at 1, { x: 0, y: 0, z: 0 } holds position). Returns { success: false, error } when there is no PID character.
+Invalid arguments (unknown bot_index, non-numeric components) make the call return { success: false, error }.`;
+
+const MOCK_BOTS = [
+    { index: 0, name: 'Bot 1', position: { x: -2, y: 0.5, z: 1 }, velocity: { x: 0, y: 0, z: 0 }, on_ground: true, player_controlled: false },
+    { index: 1, name: 'Bot 2', position: { x: 3, y: 0.5, z: -4 }, velocity: { x: 1.2, y: 0, z: 0.4 }, on_ground: true, player_controlled: false },
+    { index: 2, name: 'Bot 3', position: { x: 0, y: 2.1, z: 6 }, velocity: { x: 0, y: -1.5, z: 0 }, on_ground: false, player_controlled: false }
+];
+
+function mockBot(args) {
+    const bot = MOCK_BOTS.find(b => b.index === (args && args.bot_index));
+    return bot ? null : { success: false, error: `Unknown bot_index ${args && args.bot_index}.` };
+}
+
+const clamp = (value, limit) => Math.max(-limit, Math.min(limit, Number(value) || 0));
+
+// Canned implementations for creating and testing behaviors outside the browser. Like the page's,
+// they resolve to JSON strings (see jsonStringApis).
+const objectApis = {
+    getBots: async () => JSON.parse(JSON.stringify(MOCK_BOTS)),
+    getPidCharacter: async () => ({ position: { x: -10, y: 5, z: -5 }, velocity: { x: 0, y: 0, z: 0 } }),
+    castRay: async (args) => {
+        const direction = (args && args.direction) || { x: 0, y: -1, z: 0 };
+        if (direction.y < 0) {
+            const origin = (args && args.origin) || { x: 0, y: 0, z: 0 };
+            const distance = Math.max(0, origin.y) / -direction.y * Math.hypot(direction.x, direction.y, direction.z);
+            if (distance <= ((args && args.max_distance) || 100)) {
+                const t = distance / Math.hypot(direction.x, direction.y, direction.z);
+                return { hit: true, distance, point: { x: origin.x + direction.x * t, y: 0, z: origin.z + direction.z * t }, normal: { x: 0, y: 1, z: 0 }, body_name: 'Ground', bot_index: null };
+            }
+        }
+        return { hit: false };
+    },
+    setBotTargetVelocity: async (args) => mockBot(args) || { success: true, target_velocity: { x: clamp(args.x, 4.5), z: clamp(args.z, 4.5) } },
+    applyBotImpulse: async (args) => mockBot(args) || { success: true, velocity_change: { x: clamp(args.x, 10), y: clamp(args.y, 10), z: clamp(args.z, 10) } },
+    setPidCharacterTarget: async () => ({ success: true })
+};
+
+// Wraps APIs that resolve to plain values so they resolve to JSON strings, as the generator expects.
+function jsonStringApis(apis) {
+    return Object.fromEntries(Object.entries(apis).map(([name, api]) => [name, async (args) => JSON.stringify(await api(args))]));
+}
+
+const apis = jsonStringApis(objectApis);
+
+module.exports = {
+    description: TESTBED_HOST_API_DESCRIPTION,
+    apis,
+    TESTBED_HOST_API_NAMES,
+    BOT_BEHAVIOR_PARAMETERS_SCHEMA
+};
@@ -0,0 +1,45 @@
+// FILE: testbedHostApi_js_v1.test.js v1
+// Run with `node --test` (needs dotenv, uuid, acorn and acorn-walk).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { description, apis, TESTBED_HOST_API_NAMES, BOT_BEHAVIOR_PARAMETERS_SCHEMA } = require('./testbedHostApi_js_v1');
+const { DynamicExecutorJS, InMemoryFunctionStoreJS } = require('./dynamicExecutor_js_v1');
+
+test('every described API exists and resolves to a JSON string', async () => {
+    assert.deepEqual(Object.keys(apis).sort(), [...TESTBED_HOST_API_NAMES].sort());
+    for (const name of TESTBED_HOST_API_NAMES) {
+        assert.match(description, new RegExp(`external_apis\\.${name}\\(`));
+        const result = await apis[name]({ bot_index: 0, x: 1, y: 0, z: 0, origin: { x: 0, y: 2, z: 0 }, direction: { x: 0, y: -1, z: 0 } });
+        assert.equal(typeof result, 'string', name);
+        JSON.parse(result);
+    }
+});
+
+test('mock commands validate bot_index and cap their inputs', async () => {
+    assert.deepEqual(JSON.parse(await apis.setBotTargetVelocity({ bot_index: 1, x: 10, z: -1 })), { success: true, target_velocity: { x: 4.5, z: -1 } });
+    assert.deepEqual(JSON.parse(await apis.applyBotImpulse({ bot_index: 9, y: 5 })), { success: false, error: 'Unknown bot_index 9.' });
+    assert.deepEqual(JSON.parse(await apis.castRay({ origin: { x: 1, y: 3, z: 0 }, direction: { x: 0, y: -2, z: 0 } })).point, { x: 1, y: 0, z: 0 });
+    assert.deepEqual(JSON.parse(await apis.castRay({ direction: { x: 1, y: 0, z: 0 } })), { hit: false });
+});
+
+test('a behavior runs against the mock APIs in the executor', async () => {
+    const executor = new DynamicExecutorJS({ function_store: new InMemoryFunctionStoreJS(), sandbox_limits: { timeout_ms: 1000 } });
+    executor.is_debug = false;
+    await executor.initialize_store_js(() => description, () => apis);
+    assert.match(await executor.store_predefined_function_js({
+        name: 'chaseFirstBot',
+        description: 'Moves a bot towards bot 0.',
+        parameters_schema_json: JSON.stringify(BOT_BEHAVIOR_PARAMETERS_SCHEMA),
+        permissions_json: JSON.stringify({ allowed_apis: ['getBots', 'setBotTargetVelocity'] }),
+        code_string: `async function chaseFirstBot(params) {
+    const bots = JSON.parse(await external_apis.getBots());
+    const self = bots[params.bot_index];
+    const target = bots[0];
+    const result = JSON.parse(await external_apis.setBotTargetVelocity({ bot_index: params.bot_index, x: target.position.x - self.position.x, z: target.position.z - self.position.z }));
+    return 'velocity ' + JSON.stringify(result.target_velocity);
+}`
+    }), /^Successfully/);
+    assert.equal(await executor.execute_dynamic_function('chaseFirstBot', { bot_index: 1, delta_time: 0.016 }), 'velocity {"x":-4.5,"z":4.5}');
+    assert.match(await executor.execute_dynamic_function('chaseFirstBot', { delta_time: 0.016 }), /Parameter validation failed/);
+});